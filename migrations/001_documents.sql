@@ -0,0 +1,16 @@
+-- Base table the API has always assumed. IF NOT EXISTS throughout so databases that were
+-- set up by hand before migrations existed can be brought under the runner.
+CREATE TABLE IF NOT EXISTS documents (
+  id uuid PRIMARY KEY,
+  project_id text NOT NULL,
+  filename text NOT NULL,
+  file_path text,
+  source text,
+  status text,
+  document_content text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- The list and summary routes filter on lower(source) / lower(status) within a project
+CREATE INDEX IF NOT EXISTS documents_project_source_idx ON documents (project_id, lower(source));
+CREATE INDEX IF NOT EXISTS documents_project_status_idx ON documents (project_id, lower(status));
@@ -0,0 +1,6 @@
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS processing_error text;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS processing_started_at timestamptz;
+
+-- Lets the extraction worker find its queue without scanning every document
+CREATE INDEX IF NOT EXISTS documents_extraction_queue_idx ON documents (created_at)
+  WHERE lower(status) IN ('pending', 'processing');
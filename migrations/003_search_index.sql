@@ -0,0 +1,5 @@
+-- Must match SEARCH_VECTOR in src/search.js
+CREATE INDEX IF NOT EXISTS documents_search_idx ON documents USING GIN ((
+  setweight(to_tsvector('english', regexp_replace(coalesce(filename, ''), '[_.-]+', ' ', 'g')), 'A') ||
+  setweight(to_tsvector('english', coalesce(document_content, '')), 'B')
+));
@@ -0,0 +1,6 @@
+CREATE TABLE IF NOT EXISTS project_members (
+  project_id text NOT NULL,
+  user_id text NOT NULL,
+  role text NOT NULL DEFAULT 'member',
+  PRIMARY KEY (project_id, user_id)
+);
@@ -0,0 +1,16 @@
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS current_version integer;
+
+CREATE TABLE IF NOT EXISTS document_versions (
+  id uuid PRIMARY KEY,
+  document_id uuid NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  version integer NOT NULL,
+  filename text NOT NULL,
+  file_path text NOT NULL,
+  size_bytes bigint,
+  checksum text,
+  mimetype text,
+  uploaded_by text,
+  restored_from integer,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (document_id, version)
+);
@@ -0,0 +1,3 @@
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS checksum text;
+
+CREATE INDEX IF NOT EXISTS documents_project_id_checksum_idx ON documents (project_id, checksum);
@@ -0,0 +1,2 @@
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS mimetype text;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS size_bytes bigint;
@@ -0,0 +1,2 @@
+-- Keyset pagination of GET /documents/project/:project_id by creation date
+CREATE INDEX IF NOT EXISTS documents_project_id_created_at_id_idx ON documents (project_id, created_at, id);
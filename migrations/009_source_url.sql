@@ -0,0 +1,3 @@
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS source_url text;
+
+CREATE INDEX IF NOT EXISTS documents_project_id_source_url_idx ON documents (project_id, source_url);
@@ -0,0 +1,14 @@
+-- No foreign key to documents: the history outlives deleted documents
+CREATE TABLE IF NOT EXISTS document_events (
+  id bigserial PRIMARY KEY,
+  document_id uuid NOT NULL,
+  project_id text,
+  type text NOT NULL,
+  from_status text,
+  to_status text,
+  actor text,
+  details jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS document_events_document_id_id_idx ON document_events (document_id, id);
@@ -0,0 +1,7 @@
+-- Where each file actually lives. `file_path` held a key for Firebase and local disk but a
+-- public URL for Supabase; these columns say it explicitly. Existing rows are filled in
+-- (and checked against the buckets) by `npm run repair-storage`.
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS storage_provider text;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS storage_key text;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS storage_provider text;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS storage_key text;
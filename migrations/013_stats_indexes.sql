@@ -0,0 +1,2 @@
+-- Extraction outcomes per project and time window, for the stats routes
+CREATE INDEX IF NOT EXISTS document_events_project_id_created_at_idx ON document_events (project_id, created_at);
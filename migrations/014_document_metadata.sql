@@ -0,0 +1,10 @@
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS category text;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS owner text;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS jurisdiction text;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS effective_date date;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS expiry_date date;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS tags text[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS documents_tags_idx ON documents USING GIN (tags);
+-- The expiring report
+CREATE INDEX IF NOT EXISTS documents_project_id_expiry_date_idx ON documents (project_id, expiry_date) WHERE expiry_date IS NOT NULL;
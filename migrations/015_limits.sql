@@ -0,0 +1,16 @@
+-- Per-project overrides of PROJECT_MAX_DOCUMENTS / PROJECT_MAX_BYTES; NULL keeps the default, 0 lifts the limit
+CREATE TABLE IF NOT EXISTS project_quotas (
+  project_id text PRIMARY KEY,
+  max_documents bigint,
+  max_bytes bigint,
+  updated_by text,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Request counters of the `postgres` rate limit store (RATE_LIMIT_STORE)
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key text PRIMARY KEY,
+  count integer NOT NULL,
+  reset_at timestamptz NOT NULL
+);
+CREATE INDEX IF NOT EXISTS rate_limit_counters_reset_at_idx ON rate_limit_counters (reset_at);
@@ -0,0 +1,18 @@
+-- Resumable uploads: the received bytes live in a part file (UPLOAD_SESSION_DIR) until completion
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id uuid PRIMARY KEY,
+  project_id text NOT NULL,
+  target_document_id uuid,
+  filename text NOT NULL,
+  size_bytes bigint NOT NULL,
+  checksum text,
+  metadata jsonb NOT NULL DEFAULT '{}',
+  received_bytes bigint NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'active',
+  document_id uuid,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL
+);
+CREATE INDEX IF NOT EXISTS upload_sessions_expires_at_idx ON upload_sessions (expires_at);
@@ -0,0 +1,17 @@
+-- Soft delete: trashed documents keep their row and files until purged
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_by text;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS legal_hold boolean NOT NULL DEFAULT false;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS legal_hold_reason text;
+
+CREATE INDEX IF NOT EXISTS documents_project_id_deleted_at_idx ON documents (project_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Per-project overrides of TRASH_RETENTION_DAYS (NULL keeps the default, 0 never purges) and project-wide legal holds
+CREATE TABLE IF NOT EXISTS project_retention (
+  project_id text PRIMARY KEY,
+  trash_days integer,
+  legal_hold boolean NOT NULL DEFAULT false,
+  legal_hold_reason text,
+  updated_by text,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
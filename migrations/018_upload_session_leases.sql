@@ -0,0 +1,4 @@
+-- A request working on an upload session (a chunk, a completion) leases it instead of
+-- keeping the row locked while the bytes arrive
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS lease_id uuid;
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS lease_expires_at timestamptz;
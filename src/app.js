@@ -0,0 +1,546 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const firebase = require('./firebase');
+const supabase = require('./supabase');
+const storage = require('./storage');
+const auth = require('./auth');
+const { recordFile } = require('./ingest');
+const { upload, batchUpload, discardOnFailure, handleUploadError, handleBatchUploadError, BATCH_MAX_FILES } = require('./uploads');
+const { processBatch } = require('./batch');
+const { parseMetadata } = require('./metadata');
+const { quotaStatus, setQuotaHeaders } = require('./usage');
+const ratelimit = require('./ratelimit');
+const swaggerUi = require('swagger-ui-express');
+const swaggerSpec = require('./swagger');
+const { logger, requestLogger } = require('./logger');
+const { errorHandler, errorBodies } = require('./errors');
+const metrics = require('./metrics');
+const { migrationStatus } = require('./migrate');
+const documentsRoutes = require('./documents');
+const searchRoutes = require('./search');
+const versionsRoutes = require('./versions');
+const exportRoutes = require('./export');
+const scrapeRoutes = require('./scrape');
+const webhooksRoutes = require('./webhooks');
+const contentRoutes = require('./content');
+const statsRoutes = require('./stats');
+const quotasRoutes = require('./quotas');
+const resumableRoutes = require('./resumable');
+const trashRoutes = require('./trash');
+
+// Handle CORS preflight explicitly so Swagger UI can call the API. CORS_ORIGINS restricts
+// browsers to a comma-separated list of origins; without it any origin is allowed (no
+// cookies are used, every call still needs a bearer token).
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean);
+const corsOptions = {
+  origin: corsOrigins.length ? corsOrigins : '*',
+  credentials: false,
+  methods: 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS',
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'Upload-Offset', 'X-Request-Id'],
+  // Resumable upload, rate limit and quota headers are read by browser clients
+  exposedHeaders: [
+    'X-Request-Id', 'Location', 'Upload-Offset', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+    'X-Quota-Documents-Limit', 'X-Quota-Documents-Remaining', 'X-Quota-Bytes-Limit', 'X-Quota-Bytes-Remaining',
+  ],
+};
+
+// Health checks and metrics scrapes, only logged at debug
+const PROBE_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 5000;
+
+// Runs one readiness check; a check that takes longer than HEALTH_CHECK_TIMEOUT_MS fails.
+// Why it failed goes to the log, not to the (unauthenticated) response.
+async function probe(name, check) {
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${HEALTH_CHECK_TIMEOUT_MS} ms`)), HEALTH_CHECK_TIMEOUT_MS);
+      }),
+    ]);
+    return { status: 'ok', latency_ms: Date.now() - started };
+  } catch (err) {
+    logger.warn('Readiness check failed', { check: name, err });
+    return { status: 'error', latency_ms: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// METRICS_TOKEN, when set, has to be sent as `Authorization: Bearer <token>` by the scraper
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+function metricsTokenMatches(req) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(req.get('authorization') || ''), digest(`Bearer ${METRICS_TOKEN}`));
+}
+
+/**
+ * The API as an Express app, without a listener. `pool` may be null, in which case routes
+ * that need the database answer 500.
+ */
+function createApp(pool) {
+  const app = express();
+
+  // Trust proxy to correctly detect HTTPS on Render
+  app.set('trust proxy', 1);
+
+  app.use(cors(corsOptions));
+  app.options('*', cors(corsOptions));
+
+  // Request ids, one log line and the HTTP metrics per request, and `code` / `request_id` on
+  // every error body
+  app.use(requestLogger({ quiet: PROBE_PATHS }));
+  app.use(metrics.httpMetrics());
+  app.use(errorBodies());
+
+  // Requests per client and RATE_LIMIT_WINDOW_MS: RATE_LIMIT_IP_MAX per address, counted
+  // before the token is checked, and RATE_LIMIT_USER_MAX per authenticated user
+  const rateLimitStore = ratelimit.createStore(pool);
+  app.use(ratelimit.rateLimit({ store: rateLimitStore, name: 'ip', max: ratelimit.RATE_LIMIT_IP_MAX, key: (req) => req.ip, exclude: ['/health', '/metrics'] }));
+
+  app.use(express.json());
+
+  // Every route needs a bearer token except health checks, metrics (see METRICS_TOKEN), API
+  // docs and the signed local storage URLs
+  app.use(auth.authenticate({ exclude: ['/health', '/metrics', '/swagger.json', '/api-docs', '/storage/local'] }));
+  app.use(ratelimit.rateLimit({ store: rateLimitStore, name: 'user', max: ratelimit.RATE_LIMIT_USER_MAX, key: (req) => req.user && req.user.id }));
+
+  /**
+   * @openapi
+   * /upload:
+   *   post:
+   *     summary: Upload a file to the configured storage backend (Firebase, Supabase or local disk)
+   *     description: |
+   *       The file is streamed to storage while it is received. Accepted formats are PDF, DOCX, DOC,
+   *       TXT, HTML and ODT (UPLOAD_ALLOWED_TYPES), identified by their content rather than the
+   *       declared mimetype; files over UPLOAD_MAX_BYTES are refused, as are files that would take
+   *       the project past its quota. When the project has a quota, `X-Quota-Documents-Remaining`
+   *       and `X-Quota-Bytes-Remaining` (with the matching `-Limit` headers) report what is left. Policy metadata and tags sent
+   *       along are set on the document, replacing earlier values when the file is a new version.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - file
+   *               - project_id
+   *             properties:
+   *               file:
+   *                 type: string
+   *                 format: binary
+   *               project_id:
+   *                 type: string
+   *                 description: ID of the project this document belongs to; must come before `file` in the form
+   *               document_id:
+   *                 type: string
+   *                 description: Store the file as a new version of this document. Without it, a document with the same filename in the project gets the new version.
+   *               category:
+   *                 type: string
+   *               owner:
+   *                 type: string
+   *               jurisdiction:
+   *                 type: string
+   *               effective_date:
+   *                 type: string
+   *                 format: date
+   *               expiry_date:
+   *                 type: string
+   *                 format: date
+   *               tags:
+   *                 type: string
+   *                 description: Comma-separated tags
+   *     responses:
+   *       200:
+   *         description: File uploaded successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 document_id:
+   *                   type: string
+   *                   description: UUID of the created document
+   *                 message:
+   *                   type: string
+   *                   example: upload successfully
+   *                 name:
+   *                   type: string
+   *                 url:
+   *                   type: string
+   *                 version:
+   *                   type: integer
+   *                   description: Version number the file was stored as
+   *                 duplicate:
+   *                   type: boolean
+   *                   description: True when an identical file already existed in the project and its document is returned instead (DUPLICATE_POLICY=existing)
+   *                 document:
+   *                   type: object
+   *       400:
+   *         description: Missing required fields or invalid metadata
+   *       403:
+   *         description: Caller is not a member of the project
+   *       404:
+   *         description: document_id does not exist
+   *       409:
+   *         description: An identical file already exists in the project (DUPLICATE_POLICY=reject); the body carries its document_id
+   *       413:
+   *         description: File exceeds the upload size limit (UPLOAD_MAX_BYTES)
+   *       415:
+   *         description: File content is not one of the accepted policy formats
+   *       429:
+   *         description: Too many requests from this address or user; `Retry-After` says when to try again
+   *       507:
+   *         description: The file would exceed the project's document or storage quota; the body's `quota` and the X-Quota-* headers give the usage
+   */
+  app.post('/upload', discardOnFailure, upload(pool).single('file'), auth.requireProjectAccess(pool, auth.projectFromBody), async (req, res, next) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+      // Require project_id in the multipart form
+      const projectId = req.body.project_id || req.body.projectId;
+      if (!projectId) return res.status(400).json({ error: 'project_id is required' });
+
+      // Ensure database is configured
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const result = await recordFile(pool, {
+        projectId,
+        documentId: req.body.document_id || null,
+        stored: req.file.stored,
+        originalName: req.file.originalname,
+        uploadedBy: req.user ? req.user.id : null,
+        metadata: parseMetadata(req.body),
+      });
+      setQuotaHeaders(res, result.quota);
+
+      if (result.duplicate) {
+        return res.json({
+          document_id: result.document.id,
+          message: 'identical file already uploaded',
+          duplicate: true,
+          document: result.document
+        });
+      }
+
+      return res.json({
+        document_id: result.document.id,
+        message: 'upload successfully',
+        name: result.key,
+        url: result.url,
+        version: result.version.version,
+        document: result.document
+      });
+    } catch (err) {
+      if (err.details && err.details.quota) setQuotaHeaders(res, err.details.quota);
+      next(err);
+    }
+  }, handleUploadError);
+
+  /**
+   * @openapi
+   * /upload/batch:
+   *   post:
+   *     summary: Upload many policy files, or ZIP archives of them, into one project
+   *     description: |
+   *       Each file (and each file inside a ZIP) is validated, deduplicated and versioned exactly like
+   *       `/upload`, independently of the others: the response lists what happened to every file
+   *       and the request succeeds even if some of them are rejected.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - files
+   *               - project_id
+   *             properties:
+   *               files:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   format: binary
+   *               project_id:
+   *                 type: string
+   *                 description: ID of the project the documents belong to; must come before the files in the form
+   *               category:
+   *                 type: string
+   *               owner:
+   *                 type: string
+   *               jurisdiction:
+   *                 type: string
+   *               effective_date:
+   *                 type: string
+   *                 format: date
+   *               expiry_date:
+   *                 type: string
+   *                 format: date
+   *               tags:
+   *                 type: string
+   *                 description: Comma-separated tags, set on every file
+   *     responses:
+   *       200:
+   *         description: Per-file results
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 project_id:
+   *                   type: string
+   *                 results:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       filename:
+   *                         type: string
+   *                         description: Original filename; entries of an archive are prefixed with the archive name
+   *                       status:
+   *                         type: string
+   *                         enum: [created, versioned, duplicate, rejected]
+   *                       document_id:
+   *                         type: string
+   *                       version:
+   *                         type: integer
+   *                       error:
+   *                         type: string
+   *                       code:
+   *                         type: integer
+   *                         description: HTTP status the file would have been rejected with by /upload (507 when over the project's quota)
+   *                 summary:
+   *                   type: object
+   *                   properties:
+   *                     created:
+   *                       type: integer
+   *                     versioned:
+   *                       type: integer
+   *                     duplicate:
+   *                       type: integer
+   *                     rejected:
+   *                       type: integer
+   *       400:
+   *         description: Missing project_id, no files, more than BATCH_MAX_FILES files, or invalid metadata
+   *       403:
+   *         description: Caller is not a member of the project
+   *       413:
+   *         description: An archive exceeds ARCHIVE_MAX_BYTES
+   */
+  app.post('/upload/batch', discardOnFailure, batchUpload(pool).array('files', BATCH_MAX_FILES), auth.requireProjectAccess(pool, auth.projectFromBody), async (req, res, next) => {
+    try {
+      if (!req.files || !req.files.length) return res.status(400).json({ error: 'No files uploaded' });
+
+      const projectId = req.body.project_id || req.body.projectId;
+      if (!projectId) return res.status(400).json({ error: 'project_id is required' });
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const { results, summary } = await processBatch(pool, req.files, {
+        projectId,
+        uploadedBy: req.user ? req.user.id : null,
+        metadata: parseMetadata(req.body),
+      });
+      setQuotaHeaders(res, await quotaStatus(pool, projectId));
+      return res.json({ project_id: projectId, results, summary });
+    } catch (err) {
+      next(err);
+    }
+  }, handleBatchUploadError);
+
+  // Removed generic project documents endpoint; use routes in `src/documents.js` instead.
+
+  /**
+   * @openapi
+   * /health:
+   *   get:
+   *     summary: Health check endpoint
+   *     security: []
+   *     responses:
+   *       200:
+   *         description: Service health status
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                 timestamp:
+   *                   type: string
+   *                 database:
+   *                   type: string
+   *                 migrations:
+   *                   type: object
+   *                   description: Newest applied and newest available schema migration (see `npm run migrate`)
+   *                   properties:
+   *                     current:
+   *                       type: string
+   *                       nullable: true
+   *                     latest:
+   *                       type: string
+   *                     pending:
+   *                       type: integer
+   *                 storage:
+   *                   type: object
+   */
+  app.get('/health', async (req, res) => {
+    const health = {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      database: pool ? 'configured' : 'not configured',
+      storage: {
+        driver: storage.configured,
+        firebase: firebase.initialized() ? 'initialized' : 'not initialized',
+        supabase: supabase ? 'configured' : 'not configured'
+      }
+    };
+
+    // Test database connection
+    if (pool) {
+      try {
+        await pool.query('SELECT 1');
+        health.database = 'connected';
+        health.migrations = await migrationStatus(pool);
+      } catch (err) {
+        req.log.warn('Health check: database unreachable', { err });
+        health.database = 'error';
+        health.status = 'degraded';
+      }
+    }
+
+    const statusCode = health.status === 'ok' ? 200 : 503;
+    res.status(statusCode).json(health);
+  });
+
+  /**
+   * @openapi
+   * /health/live:
+   *   get:
+   *     summary: Liveness probe
+   *     description: Answers as long as the process can serve requests; it checks no dependencies.
+   *     security: []
+   *     responses:
+   *       200:
+   *         description: The process is up
+   */
+  app.get('/health/live', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString(), uptime_seconds: Math.round(process.uptime()) });
+  });
+
+  /**
+   * @openapi
+   * /health/ready:
+   *   get:
+   *     summary: Readiness probe
+   *     description: |
+   *       Runs `SELECT 1` against the database and checks that the storage bucket (or, with the
+   *       local driver, the storage directory) the service uploads to can be reached. Each check
+   *       fails after HEALTH_CHECK_TIMEOUT_MS.
+   *     security: []
+   *     responses:
+   *       200:
+   *         description: Database and storage are reachable
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                 checks:
+   *                   type: object
+   *       503:
+   *         description: At least one check failed; `checks` says which
+   */
+  app.get('/health/ready', async (req, res) => {
+    let driver = null;
+    const [database, bucket] = await Promise.all([
+      pool ? probe('database', () => pool.query('SELECT 1')) : { status: 'not configured' },
+      probe('storage', async () => {
+        const primary = storage.primary();
+        driver = primary.name;
+        await primary.check();
+      }),
+    ]);
+    const checks = { database, storage: { driver, ...bucket } };
+    const ready = database.status === 'ok' && bucket.status === 'ok';
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', timestamp: new Date().toISOString(), checks });
+  });
+
+  /**
+   * @openapi
+   * /metrics:
+   *   get:
+   *     summary: Prometheus metrics
+   *     description: |
+   *       Request counts and latencies per route, error responses per code, Postgres query
+   *       latencies, uploads and bytes per storage provider, fallbacks from Firebase to Supabase
+   *       and the process' own metrics, in the Prometheus text format. Needs
+   *       `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.
+   *     security: []
+   *     responses:
+   *       200:
+   *         description: Metrics in the Prometheus exposition format
+   *         content:
+   *           text/plain:
+   *             schema:
+   *               type: string
+   *       401:
+   *         description: METRICS_TOKEN is set and was not sent
+   */
+  app.get('/metrics', async (req, res, next) => {
+    try {
+      if (METRICS_TOKEN && !metricsTokenMatches(req)) return res.status(401).json({ error: 'Invalid metrics token' });
+      res.set('Content-Type', metrics.register.contentType);
+      return res.send(await metrics.register.metrics());
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  // Serve a dynamic swagger JSON that sets `servers` to the current protocol+host
+  app.get('/swagger.json', (req, res, next) => {
+    try {
+      const spec = JSON.parse(JSON.stringify(swaggerSpec));
+      // Detect protocol: trust X-Forwarded-Proto header from Render's proxy
+      const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+      spec.servers = [{ url: `${protocol}://${req.get('host')}` }];
+      res.json(spec);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  // Configure Swagger UI to load the dynamic JSON so it matches the current deployment URL
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(null, { swaggerUrl: '/swagger.json' }));
+
+  // The local storage driver signs URLs that point back at this service
+  if (storage.configured === 'local') app.use('/', storage.drivers.local.router());
+
+  // Mount documents routes (requires `pool` for DB access)
+  app.use('/', documentsRoutes(pool));
+  app.use('/', searchRoutes(pool));
+  app.use('/', versionsRoutes(pool));
+  app.use('/', exportRoutes(pool));
+  app.use('/', scrapeRoutes(pool));
+  app.use('/', webhooksRoutes(pool));
+  app.use('/', contentRoutes(pool));
+  app.use('/', statsRoutes(pool));
+  app.use('/', quotasRoutes(pool));
+  app.use('/', resumableRoutes(pool));
+  app.use('/', trashRoutes(pool));
+
+  app.use((req, res) => res.status(404).json({ error: `No route for ${req.method} ${req.path}` }));
+  app.use(errorHandler());
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,133 @@
+require('dotenv').config();
+const jwt = require('jsonwebtoken');
+const firebase = require('./firebase');
+const supabase = require('./supabase');
+
+// AUTH_PROVIDER picks how bearer tokens are verified: `supabase`, `firebase`, or
+// `none` to turn authentication off (local development only). When unset, Supabase
+// is used if configured, then Firebase.
+function provider() {
+  const configured = (process.env.AUTH_PROVIDER || '').toLowerCase();
+  if (configured) return configured;
+  if (process.env.SUPABASE_JWT_SECRET || supabase) return 'supabase';
+  if (process.env.FIREBASE_SERVICE_ACCOUNT || process.env.FIREBASE_SERVICE_ACCOUNT_PATH) return 'firebase';
+  return null;
+}
+
+function enabled() {
+  return provider() !== 'none';
+}
+
+async function verifySupabaseToken(token) {
+  // Verify locally when the project's JWT secret is available, otherwise ask Supabase
+  if (process.env.SUPABASE_JWT_SECRET) {
+    const payload = jwt.verify(token, process.env.SUPABASE_JWT_SECRET, { algorithms: ['HS256'] });
+    return { id: payload.sub, email: payload.email || null, provider: 'supabase' };
+  }
+  if (!supabase) throw new Error('Supabase not configured');
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data || !data.user) throw error || new Error('Invalid token');
+  return { id: data.user.id, email: data.user.email || null, provider: 'supabase' };
+}
+
+async function verifyFirebaseToken(token) {
+  const decoded = await firebase.getAuth().verifyIdToken(token);
+  return { id: decoded.uid, email: decoded.email || null, provider: 'firebase' };
+}
+
+/**
+ * Requires a valid `Authorization: Bearer <token>` header and sets `req.user`.
+ * Requests whose path starts with one of `exclude` pass through untouched.
+ */
+function authenticate({ exclude = [] } = {}) {
+  return async (req, res, next) => {
+    if (exclude.some((prefix) => req.path === prefix || req.path.startsWith(`${prefix}/`))) return next();
+    if (req.method === 'OPTIONS') return next();
+
+    const mode = provider();
+    if (mode === 'none') return next();
+    if (mode !== 'supabase' && mode !== 'firebase') {
+      return res.status(500).json({ error: 'Authentication not configured. Set AUTH_PROVIDER or Supabase/Firebase credentials.' });
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    if (!match) return res.status(401).json({ error: 'Missing bearer token' });
+
+    try {
+      req.user = mode === 'supabase' ? await verifySupabaseToken(match[1]) : await verifyFirebaseToken(match[1]);
+    } catch (err) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    if (!req.user.id) return res.status(401).json({ error: 'Invalid or expired token' });
+    return next();
+  };
+}
+
+// Users allowed on the cross-project admin routes, by id (the token's `sub` / Firebase uid)
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '').split(',').map((id) => id.trim()).filter(Boolean);
+
+function isAdmin(user) {
+  if (!enabled()) return true;
+  return Boolean(user && ADMIN_USER_IDS.includes(user.id));
+}
+
+// Only lets users listed in ADMIN_USER_IDS through
+function requireAdmin() {
+  return (req, res, next) => {
+    if (!isAdmin(req.user)) return res.status(403).json({ error: 'Admin access required' });
+    return next();
+  };
+}
+
+async function canAccessProject(pool, user, projectId) {
+  if (!enabled()) return true;
+  if (!user) return false;
+  const { rows } = await pool.query(`SELECT 1 FROM project_members WHERE project_id = $1 AND user_id = $2 LIMIT 1`, [
+    String(projectId),
+    user.id,
+  ]);
+  return rows.length > 0;
+}
+
+// Resolvers for the project a request targets; `undefined` means "let the handler decide"
+const projectFromParams = (req) => req.params.project_id;
+const projectFromBody = (req) => req.body && (req.body.project_id || req.body.projectId);
+
+function projectFromDocument(pool) {
+  return async (req) => {
+    const { rows } = await pool.query(`SELECT project_id FROM documents WHERE id = $1`, [req.params.document_id]);
+    return rows.length ? rows[0].project_id : undefined;
+  };
+}
+
+/**
+ * Only lets members of the resolved project through. Requests where the project can't be
+ * resolved (missing id, unknown document) continue so the handler returns its usual 400/404.
+ */
+function requireProjectAccess(pool, resolveProject) {
+  return async (req, res, next) => {
+    if (!enabled()) return next();
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+      const projectId = await resolveProject(req);
+      if (projectId === undefined || projectId === null || projectId === '') return next();
+      if (!(await canAccessProject(pool, req.user, projectId))) {
+        return res.status(403).json({ error: 'You do not have access to this project' });
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+module.exports = {
+  authenticate,
+  canAccessProject,
+  requireProjectAccess,
+  isAdmin,
+  requireAdmin,
+  projectFromParams,
+  projectFromBody,
+  projectFromDocument,
+};
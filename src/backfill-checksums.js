@@ -0,0 +1,67 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { createPool } = require('./db');
+const storage = require('./storage');
+
+const BATCH_SIZE = 100;
+
+async function checksumOf(doc) {
+  const { driver, key } = storage.locate(doc);
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of driver.getStream(key)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Computes SHA-256 checksums for documents created before uploads recorded them, so the
+ * duplicates report and upload deduplication can see them. Returns counts per outcome.
+ */
+async function backfillChecksums(pool, { log = console.log } = {}) {
+  const totals = { updated: 0, failed: 0 };
+  let lastId = null;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT * FROM documents WHERE checksum IS NULL AND ($1::uuid IS NULL OR id > $1) ORDER BY id LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+    if (!rows.length) break;
+
+    for (const doc of rows) {
+      lastId = doc.id;
+      try {
+        const checksum = await checksumOf(doc);
+        await pool.query(`UPDATE documents SET checksum = $2 WHERE id = $1 AND checksum IS NULL`, [doc.id, checksum]);
+        await pool.query(
+          `UPDATE document_versions SET checksum = $3 WHERE document_id = $1 AND version = $2 AND checksum IS NULL`,
+          [doc.id, doc.current_version, checksum]
+        );
+        totals.updated += 1;
+      } catch (err) {
+        totals.failed += 1;
+        log(`Could not checksum document ${doc.id} (${doc.filename}): ${err.message}`);
+      }
+    }
+  }
+
+  return totals;
+}
+
+module.exports = { backfillChecksums };
+
+if (require.main === module) {
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL not configured');
+    process.exit(1);
+  }
+  const pool = createPool();
+  backfillChecksums(pool)
+    .then((totals) => {
+      console.log(`Checksums updated: ${totals.updated}, failed: ${totals.failed}`);
+      return pool.end();
+    })
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,123 @@
+const path = require('path');
+const { promisify } = require('util');
+const yauzl = require('yauzl');
+const { storeFile, recordFile } = require('./ingest');
+const { discardFile, BATCH_MAX_FILES } = require('./uploads');
+const { quotaStatus } = require('./usage');
+const { HttpError, toHttpError } = require('./errors');
+const { logger } = require('./logger');
+
+const openZip = promisify(yauzl.open);
+
+// Folders, macOS resource forks and dotfiles inside archives are not policy documents
+function isIgnoredEntry(entry) {
+  const name = entry.fileName;
+  return /\/$/.test(name) || name.startsWith('__MACOSX/') || path.basename(name).startsWith('.');
+}
+
+function rejected(filename, err) {
+  const error = toHttpError(err);
+  if (error.cause) logger.error('Batch upload error', { filename, err: error.cause });
+  return { filename, status: 'rejected', error: error.message, code: error.status };
+}
+
+// `label` is what the result reports, e.g. `archive.zip/folder/policy.pdf` for archive entries
+async function record(pool, stored, originalName, { projectId, uploadedBy, metadata }, label = originalName) {
+  try {
+    const result = await recordFile(pool, { projectId, stored, originalName, uploadedBy, metadata });
+    if (result.duplicate) return { filename: label, status: 'duplicate', document_id: result.document.id };
+    return {
+      filename: label,
+      status: result.created ? 'created' : 'versioned',
+      document_id: result.document.id,
+      version: result.version.version,
+    };
+  } catch (err) {
+    if (err instanceof HttpError && err.status === 409) {
+      return { filename: label, status: 'duplicate', document_id: err.details.document_id, error: err.message };
+    }
+    return rejected(label, err);
+  }
+}
+
+// Expands a spooled ZIP one entry at a time, storing and recording each policy file in it
+async function expandArchive(pool, file, options, budget) {
+  const results = [];
+  let zip;
+  try {
+    zip = await openZip(file.archivePath, { lazyEntries: true, autoClose: true });
+  } catch (err) {
+    return [rejected(file.originalname, new HttpError(415, 'Not a valid ZIP archive'))];
+  }
+  const openEntry = promisify(zip.openReadStream.bind(zip));
+
+  const handleEntry = async (entry) => {
+    if (isIgnoredEntry(entry)) return;
+    const label = `${file.originalname}/${entry.fileName}`;
+    if (budget.remaining <= 0) {
+      results.push(rejected(label, new HttpError(400, `A batch can contain at most ${BATCH_MAX_FILES} files`)));
+      return;
+    }
+    budget.remaining -= 1;
+
+    const originalName = path.basename(entry.fileName);
+    let stored;
+    try {
+      stored = await storeFile(await openEntry(entry), { originalName, quota: await quotaStatus(pool, options.projectId) });
+    } catch (err) {
+      results.push(rejected(label, err));
+      return;
+    }
+    results.push(await record(pool, stored, originalName, options, label));
+  };
+
+  try {
+    await new Promise((resolve, reject) => {
+      zip.on('error', reject);
+      zip.on('end', resolve);
+      zip.on('entry', (entry) => {
+        handleEntry(entry).then(() => zip.readEntry(), reject);
+      });
+      zip.readEntry();
+    });
+  } catch (err) {
+    // A corrupt archive stops here, but the files recorded before it stay
+    zip.close();
+    results.push(rejected(file.originalname, new HttpError(422, `Could not read archive: ${err.message}`)));
+  }
+  return results;
+}
+
+/**
+ * Records every file of a batch upload (see `batchUpload` in uploads.js) under one
+ * project. Each file is handled on its own, so one bad file doesn't fail the rest; the
+ * result lists per file whether it was created, versioned, a duplicate or rejected.
+ * `metadata` is applied to every file.
+ */
+async function processBatch(pool, files, { projectId, uploadedBy = null, metadata = {} }) {
+  const options = { projectId, uploadedBy, metadata };
+  const budget = { remaining: BATCH_MAX_FILES };
+  const results = [];
+
+  for (const file of files) {
+    try {
+      if (file.error) {
+        results.push(rejected(file.originalname, file.error));
+      } else if (file.archivePath) {
+        results.push(...(await expandArchive(pool, file, options, budget)));
+      } else {
+        budget.remaining -= 1;
+        results.push(await record(pool, file.stored, file.originalname, options));
+      }
+    } finally {
+      // Archives are only needed until they are expanded
+      if (file.archivePath) await discardFile({ archivePath: file.archivePath }).catch(() => {});
+    }
+  }
+
+  const summary = { created: 0, versioned: 0, duplicate: 0, rejected: 0 };
+  for (const r of results) summary[r.status] += 1;
+  return { results, summary };
+}
+
+module.exports = { processBatch };
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const storage = require('./storage');
+const auth = require('./auth');
+const filetype = require('./filetype');
+const { HttpError } = require('./errors');
+
+// Response headers describing the file, dropped again if reading it fails before the first byte
+const FILE_HEADERS = ['Content-Type', 'Content-Length', 'Content-Range', 'Content-Disposition', 'Accept-Ranges', 'ETag'];
+
+// Rows from before mimetypes were recorded are typed by their extension
+function contentType(row) {
+  if (row.mimetype) return row.mimetype;
+  const type = Object.values(filetype.TYPES).find((t) => t.ext === path.extname(row.filename || '').toLowerCase());
+  return type ? type.mime : 'application/octet-stream';
+}
+
+// `inline` or `attachment` with the original filename, plus an RFC 5987 form for non-ASCII names
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// The SHA-256 of the content where it is known; otherwise the object key, which is never reused
+function etagFor(row, driver, key) {
+  if (row.checksum) return `"${row.checksum}"`;
+  return `"${crypto.createHash('sha256').update(`${driver.name}:${key}`).digest('hex')}"`;
+}
+
+// If-None-Match / If-Range use weak comparison
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some((tag) => tag.trim().replace(/^W\//, '') === etag);
+}
+
+function isMissing(err) {
+  return err.code === 'ENOENT' || err.code === 404 || err.statusCode === 404 || err.status === 404;
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const documentAccess = auth.requireProjectAccess(pool, auth.projectFromDocument(pool));
+
+  /**
+   * @openapi
+   * /documents/{document_id}/content:
+   *   get:
+   *     summary: Download a document's file through the API
+   *     description: |
+   *       Streams the stored file with its MIME type, so clients never need a bucket URL. Supports
+   *       single `Range` requests (`206`, for PDF viewers) and `If-None-Match` revalidation against
+   *       the `ETag`, which is the file's SHA-256 where it is known.
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: version
+   *         description: Serve this version instead of the current one
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: download
+   *         description: "Send `Content-Disposition: attachment` instead of `inline`"
+   *         schema:
+   *           type: boolean
+   *       - in: header
+   *         name: Range
+   *         schema:
+   *           type: string
+   *           example: bytes=0-65535
+   *     responses:
+   *       200:
+   *         description: The whole file
+   *         content:
+   *           application/octet-stream:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *       206:
+   *         description: The requested byte range
+   *       304:
+   *         description: Not modified since the ETag given in If-None-Match
+   *       404:
+   *         description: Document, version or stored file not found
+   *       416:
+   *         description: Range not satisfiable
+   */
+  router.get('/documents/:document_id/content', documentAccess, async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      let row;
+      if (req.query.version !== undefined) {
+        const version = parseInt(req.query.version, 10);
+        if (!Number.isInteger(version)) return res.status(400).json({ error: 'version must be an integer' });
+        const { rows } = await pool.query(
+          `SELECT v.* FROM document_versions v JOIN documents d ON d.id = v.document_id
+           WHERE v.document_id = $1 AND v.version = $2 AND d.deleted_at IS NULL`,
+          [req.params.document_id, version]
+        );
+        if (!rows.length) return res.status(404).json({ error: 'version not found' });
+        row = rows[0];
+      } else {
+        const { rows } = await pool.query(`SELECT * FROM documents WHERE id = $1 AND deleted_at IS NULL`, [req.params.document_id]);
+        if (!rows.length) return res.status(404).json({ error: 'document not found' });
+        row = rows[0];
+      }
+
+      const { driver, key } = storage.locate(row);
+      const etag = etagFor(row, driver, key);
+      // The current file changes with every new version, so caches have to revalidate
+      res.set('Cache-Control', 'private, no-cache');
+      if (etagMatches(req.headers['if-none-match'], etag)) return res.status(304).set('ETag', etag).end();
+
+      let size;
+      if (row.size_bytes != null) {
+        size = Number(row.size_bytes);
+      } else {
+        try {
+          size = await driver.size(key);
+        } catch (err) {
+          if (isMissing(err)) return res.status(404).json({ error: 'file not found in storage' });
+          throw err;
+        }
+      }
+
+      // Several ranges, a malformed header or a stale If-Range all get the whole file
+      let range = null;
+      const ifRange = req.headers['if-range'];
+      if (req.headers.range && (!ifRange || etagMatches(ifRange, etag))) {
+        const ranges = req.range(size, { combine: true });
+        if (ranges === -1) {
+          res.set('Content-Range', `bytes */${size}`);
+          return res.status(416).json({ error: 'Range not satisfiable' });
+        }
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) range = ranges[0];
+      }
+
+      res.set({
+        'Content-Type': contentType(row),
+        'Content-Disposition': contentDisposition(req.query.download === 'true' ? 'attachment' : 'inline', row.filename || key),
+        'Accept-Ranges': 'bytes',
+        ETag: etag,
+        // Uploaded HTML must not run as a page of the API's origin
+        'Content-Security-Policy': 'sandbox',
+        'X-Content-Type-Options': 'nosniff',
+      });
+
+      if (range) {
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        res.set('Content-Length', String(range.end - range.start + 1));
+      } else {
+        res.set('Content-Length', String(size));
+      }
+      if (req.method === 'HEAD') return res.end();
+
+      const stream = driver.getStream(key, range ? { start: range.start, end: range.end } : {});
+      stream.on('error', (err) => {
+        if (res.headersSent) return res.destroy(err);
+        for (const header of FILE_HEADERS) res.removeHeader(header);
+        if (isMissing(err)) return res.status(404).json({ error: 'file not found in storage' });
+        return next(new HttpError(502, 'Could not read the file from storage', {}, { cause: err }));
+      });
+      res.on('close', () => stream.destroy());
+      return stream.pipe(res);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  return router;
+};
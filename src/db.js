@@ -0,0 +1,51 @@
+require('dotenv').config();
+const { Pool, types } = require('pg');
+const { timeQuery } = require('./metrics');
+
+// `date` columns (effective_date, expiry_date) stay YYYY-MM-DD strings instead of becoming
+// midnight in the server's time zone
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
+// Times every query a client runs for the db_query_* metrics. Pool.query and transactions
+// on checked out clients both end up here; streamed queries (objects with `submit`) are
+// passed through untimed.
+function instrument(client) {
+  const query = client.query.bind(client);
+  client.query = (config, values, callback) => {
+    if (config && typeof config.submit === 'function') return query(config, values, callback);
+    if (typeof values === 'function') {
+      callback = values;
+      values = undefined;
+    }
+    const done = timeQuery(config);
+    if (typeof callback === 'function') {
+      return query(config, values, (err, result) => {
+        done(err);
+        callback(err, result);
+      });
+    }
+    return query(config, values).then(
+      (result) => {
+        done();
+        return result;
+      },
+      (err) => {
+        done(err);
+        throw err;
+      }
+    );
+  };
+}
+
+// Hosted Postgres (Supabase, Render) wants TLS without a verifiable chain; DATABASE_SSL=false
+// turns TLS off for a local database
+function createPool() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false },
+  });
+  pool.on('connect', instrument);
+  return pool;
+}
+
+module.exports = { createPool };
@@ -0,0 +1,176 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { request } = require('./fetcher');
+const { logger } = require('./logger');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['document.uploaded', 'document.processed', 'document.failed', 'document.deleted', 'document.restored', 'document.purged'];
+
+const INTERVAL_MS = parseInt(process.env.WEBHOOK_INTERVAL_MS, 10) || 5000;
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 10;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+// Attempts per delivery before it is marked failed; the wait doubles after every failure
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// Deliveries stuck in `sending` longer than this (e.g. after a crash) are sent again
+const STALE_AFTER_MS = 5 * 60 * 1000;
+// Webhooks usually point at other services, but still not at the host's own network by default
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// The webhook event a document_events row triggers, if any
+function webhookEvent(event) {
+  if (event.type === 'created' || event.type === 'version_added') return 'document.uploaded';
+  if (event.type === 'deleted') return 'document.deleted';
+  if (event.type === 'restored') return 'document.restored';
+  if (event.type === 'purged') return 'document.purged';
+  if (event.type === 'status_changed' || event.type === 'updated') {
+    if (event.to_status === 'processed') return 'document.processed';
+    if (event.to_status === 'failed') return 'document.failed';
+  }
+  return null;
+}
+
+/**
+ * Queues a delivery to every active webhook of the event's project that subscribes to
+ * it. Called with the client of the transaction that records the event, so a change and
+ * its notifications are committed together.
+ */
+async function enqueue(db, event) {
+  const name = webhookEvent(event);
+  if (!name || !event.project_id) return 0;
+  const payload = {
+    id: String(event.id),
+    event: name,
+    created_at: event.created_at,
+    project_id: event.project_id,
+    document_id: event.document_id,
+    data: {
+      actor: event.actor,
+      from_status: event.from_status,
+      to_status: event.to_status,
+      details: event.details,
+    },
+  };
+  const { rowCount } = await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     SELECT id, $2, $3 FROM webhooks WHERE project_id = $1 AND active AND $2 = ANY(events)`,
+    [event.project_id, name, JSON.stringify(payload)]
+  );
+  return rowCount;
+}
+
+/**
+ * `X-Webhook-Signature` value for a request body: `t=<unix seconds>,v1=<hex>`, where the
+ * hex is the HMAC-SHA256 of `<t>.<body>` keyed with the webhook's secret. Receivers should
+ * recompute it and reject old timestamps to stop replays.
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+// Claims due deliveries by moving them to `sending`, as the extraction worker does with documents
+async function claim(pool, limit) {
+  const q = `WITH claimed AS (
+      UPDATE webhook_deliveries SET status = 'sending', attempts = attempts + 1, locked_at = now()
+      WHERE id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE (status = 'pending' AND next_attempt_at <= now())
+           OR (status = 'sending' AND locked_at < now() - ($2 || ' milliseconds')::interval)
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    )
+    SELECT claimed.*, w.url, w.secret FROM claimed JOIN webhooks w ON w.id = claimed.webhook_id`;
+  const { rows } = await pool.query(q, [limit, String(STALE_AFTER_MS)]);
+  return rows;
+}
+
+async function send(pool, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  let statusCode = null;
+  let error = null;
+  try {
+    const res = await request(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Signature': sign(delivery.secret, body),
+      },
+      body,
+      timeout: TIMEOUT_MS,
+      allowPrivate: ALLOW_PRIVATE,
+    });
+    res.body.resume();
+    statusCode = res.status;
+    if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    await pool.query(
+      `UPDATE webhook_deliveries SET status = 'succeeded', last_status_code = $2, last_error = NULL, delivered_at = now(), locked_at = NULL WHERE id = $1`,
+      [delivery.id, statusCode]
+    );
+    return { id: delivery.id, status: 'succeeded' };
+  }
+
+  const giveUp = delivery.attempts >= MAX_ATTEMPTS;
+  await pool.query(
+    `UPDATE webhook_deliveries SET status = $2, last_status_code = $3, last_error = $4, locked_at = NULL,
+       next_attempt_at = now() + ($5 || ' milliseconds')::interval
+     WHERE id = $1`,
+    [delivery.id, giveUp ? 'failed' : 'pending', statusCode, error, String(giveUp ? 0 : retryDelay(delivery.attempts))]
+  );
+  return { id: delivery.id, status: giveUp ? 'failed' : 'pending', error };
+}
+
+// Sends one batch of due deliveries and returns the per-delivery outcome
+async function deliverDue(pool, limit = BATCH_SIZE) {
+  const deliveries = await claim(pool, limit);
+  const results = [];
+  for (const delivery of deliveries) results.push(await send(pool, delivery));
+  return results;
+}
+
+/**
+ * Polls for due webhook deliveries every WEBHOOK_INTERVAL_MS until `stop()` is called.
+ * A pass that found a full batch is followed immediately by another one.
+ */
+function startDispatcher(pool, { interval = INTERVAL_MS, batchSize = BATCH_SIZE } = {}) {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    let results = [];
+    try {
+      results = await deliverDue(pool, batchSize);
+    } catch (err) {
+      logger.error('Webhook dispatcher error', { err });
+    }
+    if (stopped) return;
+    timer = setTimeout(tick, results.length === batchSize ? 0 : interval);
+  };
+
+  timer = setTimeout(tick, 0);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+module.exports = { WEBHOOK_EVENTS, ALLOW_PRIVATE, enqueue, sign, deliverDue, startDispatcher };
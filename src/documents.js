@@ -1,20 +1,89 @@
 const express = require('express');
-const supabase = require('./supabase');
+const storage = require('./storage');
+const auth = require('./auth');
+const { HttpError } = require('./errors');
+const { listDocuments } = require('./listing');
+const lifecycle = require('./lifecycle');
+const metadata = require('./metadata');
+const { quotaStatus, reserveQuota, setQuotaHeaders } = require('./usage');
+const retention = require('./retention');
+
+// Columns a client may change through PATCH /documents/:document_id
+const UPDATABLE_FIELDS = ['filename', 'source', 'status', 'project_id'];
+
+// A documents row as returned by single-document routes: the extracted text is replaced
+// by `has_content` unless it was asked for
+function presentDocument(row, includeContent = false) {
+  const { document_content, ...document } = row;
+  document.has_content = document_content != null && document_content !== '';
+  if (includeContent) document.document_content = document_content;
+  return document;
+}
 
 module.exports = (pool) => {
   const router = express.Router();
+  const projectAccess = auth.requireProjectAccess(pool, auth.projectFromParams);
+  const documentAccess = auth.requireProjectAccess(pool, auth.projectFromDocument(pool));
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}:
+   *   get:
+   *     summary: List a project's documents, a page at a time
+   *     description: Filters combine with AND; values within one filter are alternatives. The extracted text is not included (see `has_content`).
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ListFilters'
+   *       - $ref: '#/components/parameters/ListPaging'
+   *     responses:
+   *       200:
+   *         description: One page of documents
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 documents:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                 next_cursor:
+   *                   type: string
+   *                   nullable: true
+   *                   description: Pass as `cursor` to fetch the next page; null on the last page
+   *       400:
+   *         description: Invalid sort, order, date or cursor
+   */
+  router.get('/documents/project/:project_id', projectAccess, async (req, res, next) => {
+    try {
+      const projectId = req.params.project_id;
+      if (!projectId) return res.status(400).json({ error: 'project_id is required' });
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      return res.json(await listDocuments(pool, projectId, req.query));
+    } catch (err) {
+      return next(err);
+    }
+  });
 
   /**
    * @openapi
    * /documents/project/{project_id}/upload-or-other:
    *   get:
    *     summary: Retrieve documents for a project where source is Upload or Other
+   *     description: Alias of `GET /documents/project/{project_id}` restricted to those sources, returning full rows.
    *     parameters:
    *       - in: path
    *         name: project_id
    *         required: true
    *         schema:
    *           type: string
+   *       - $ref: '#/components/parameters/ListFilters'
+   *       - $ref: '#/components/parameters/ListPaging'
    *     responses:
    *       200:
    *         description: Documents retrieved successfully
@@ -27,20 +96,24 @@ module.exports = (pool) => {
    *                   type: array
    *                   items:
    *                     type: object
+   *                 next_cursor:
+   *                   type: string
+   *                   nullable: true
+   *                   description: Pass as `cursor` to fetch the next page; null on the last page
+   *       400:
+   *         description: Invalid sort, order, date or cursor
    */
   // Get documents for a project where source is Upload or Other
-  router.get('/documents/project/:project_id/upload-or-other', async (req, res) => {
+  router.get('/documents/project/:project_id/upload-or-other', projectAccess, async (req, res, next) => {
     try {
       const projectId = req.params.project_id;
       if (!projectId) return res.status(400).json({ error: 'project_id is required' });
       if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
 
-      const query = `SELECT * FROM documents WHERE project_id = $1 AND lower(source) IN ('upload','other') ORDER BY filename`;
-      const { rows } = await pool.query(query, [projectId]);
-
-      return res.json({ documents: rows });
+      const page = await listDocuments(pool, projectId, req.query, { where: [`lower(source) IN ('upload','other')`], columns: '*' });
+      return res.json(page);
     } catch (err) {
-      return res.status(500).json({ error: err.message });
+      return next(err);
     }
   });
 
@@ -49,12 +122,15 @@ module.exports = (pool) => {
    * /documents/project/{project_id}/scraped:
    *   get:
    *     summary: Retrieve documents for a project where source is Scrape
+   *     description: Alias of `GET /documents/project/{project_id}` restricted to scraped documents.
    *     parameters:
    *       - in: path
    *         name: project_id
    *         required: true
    *         schema:
    *           type: string
+   *       - $ref: '#/components/parameters/ListFilters'
+   *       - $ref: '#/components/parameters/ListPaging'
    *     responses:
    *       200:
    *         description: Scraped documents retrieved successfully
@@ -67,20 +143,27 @@ module.exports = (pool) => {
    *                   type: array
    *                   items:
    *                     type: object
+   *                 next_cursor:
+   *                   type: string
+   *                   nullable: true
+   *                   description: Pass as `cursor` to fetch the next page; null on the last page
+   *       400:
+   *         description: Invalid sort, order, date or cursor
    */
   // Get documents for a project where source is scrape
-  router.get('/documents/project/:project_id/scraped', async (req, res) => {
+  router.get('/documents/project/:project_id/scraped', projectAccess, async (req, res, next) => {
     try {
       const projectId = req.params.project_id;
       if (!projectId) return res.status(400).json({ error: 'project_id is required' });
       if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
 
-      const query = `SELECT id, filename AS file_name, created_at, status FROM documents WHERE project_id = $1 AND lower(source) = 'scrape' ORDER BY filename`;
-      const { rows } = await pool.query(query, [projectId]);
-
-      return res.json({ documents: rows });
+      const page = await listDocuments(pool, projectId, req.query, {
+        where: [`lower(source) = 'scrape'`],
+        columns: 'id, filename AS file_name, created_at, status',
+      });
+      return res.json(page);
     } catch (err) {
-      return res.status(500).json({ error: err.message });
+      return next(err);
     }
   });
 
@@ -112,6 +195,7 @@ module.exports = (pool) => {
    * /documents/scrape/{document_id}:
    *   get:
    *     summary: Retrieve a preview URL for a document (scraped or uploaded)
+   *     description: A signed URL valid for one hour. `GET /documents/{document_id}/content` serves the file through the API instead.
    *     parameters:
    *       - in: path
    *         name: document_id
@@ -129,58 +213,28 @@ module.exports = (pool) => {
    *                 preview_url:
    *                   type: string
    */
-  router.get('/documents/scrape/:document_id', async (req, res) => {
+  router.get('/documents/scrape/:document_id', documentAccess, async (req, res, next) => {
     try {
       const id = req.params.document_id;
       if (!id) return res.status(400).json({ error: 'document_id is required' });
       if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
 
-      const query = `SELECT * FROM documents WHERE id = $1`;
+      const query = `SELECT * FROM documents WHERE id = $1 AND deleted_at IS NULL`;
       const { rows } = await pool.query(query, [id]);
       if (!rows.length) return res.status(404).json({ error: 'document not found' });
 
       const doc = rows[0];
-      const filename = doc.filename || '';
-      
-      if (!filename) {
-        return res.status(500).json({ error: 'Document filename not found in database' });
-      }
 
-      // Use Supabase signed URL for inline preview (not download)
-      const supabaseUrl = process.env.SUPABASE_URL;
-      const bucket = process.env.SUPABASE_BUCKET;
-      
-      if (supabase && supabaseUrl && bucket) {
-        const normalized = filename.replace(/^\/+/, '');
-        try {
-          // Generate signed URL with 1 hour expiry for inline preview
-          const { data: signedData, error: signedErr } = await supabase.storage
-            .from(bucket)
-            .createSignedUrl(normalized, 3600);
-          
-          if (!signedErr && signedData && signedData.signedUrl) {
-            return res.json({ preview_url: signedData.signedUrl });
-          }
-          
-          // Fallback to public URL if signed URL fails
-          const publicUrl = `${supabaseUrl.replace(/\/$/, '')}/storage/v1/object/public/${bucket}/${encodeURIComponent(normalized)}`;
-          return res.json({ preview_url: publicUrl });
-        } catch (e) {
-          return res.status(500).json({ error: `Failed to generate preview URL: ${e.message}` });
-        }
+      const { driver, key } = storage.locate(doc);
+      try {
+        // Signed URL with 1 hour expiry for inline preview (not download). There is no
+        // fallback to a public URL: that would expose the object to anyone who has it.
+        return res.json({ preview_url: await driver.signedUrl(key, 3600) });
+      } catch (e) {
+        return next(new HttpError(502, 'Failed to generate preview URL', {}, { cause: e }));
       }
-
-      // Fallback for Firebase if Supabase not configured
-      const fbBucket = process.env.FIREBASE_STORAGE_BUCKET;
-      if (fbBucket) {
-        const normalized = filename.replace(/^\/+/, '');
-        const preview = `https://firebasestorage.googleapis.com/v0/b/${fbBucket}/o/${encodeURIComponent(normalized)}?alt=media`;
-        return res.json({ preview_url: preview });
-      }
-
-      return res.status(500).json({ error: 'Storage not configured for preview URL generation' });
     } catch (err) {
-      return res.status(500).json({ error: err.message });
+      return next(err);
     }
   });
 
@@ -189,12 +243,15 @@ module.exports = (pool) => {
    * /documents/project/{project_id}/processed:
    *   get:
    *     summary: Retrieve all processed documents (scraped or uploaded) for a project
+   *     description: Alias of `GET /documents/project/{project_id}` restricted to status `processed`, returning full rows.
    *     parameters:
    *       - in: path
    *         name: project_id
    *         required: true
    *         schema:
    *           type: string
+   *       - $ref: '#/components/parameters/ListFilters'
+   *       - $ref: '#/components/parameters/ListPaging'
    *     responses:
    *       200:
    *         description: Processed documents retrieved successfully
@@ -207,19 +264,85 @@ module.exports = (pool) => {
    *                   type: array
    *                   items:
    *                     type: object
+   *                 next_cursor:
+   *                   type: string
+   *                   nullable: true
+   *                   description: Pass as `cursor` to fetch the next page; null on the last page
+   *       400:
+   *         description: Invalid sort, order, date or cursor
+   */
+  router.get('/documents/project/:project_id/processed', projectAccess, async (req, res, next) => {
+    try {
+      const projectId = req.params.project_id;
+      if (!projectId) return res.status(400).json({ error: 'project_id is required' });
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const page = await listDocuments(pool, projectId, req.query, { where: [`lower(status) = 'processed'`], columns: '*' });
+      return res.json(page);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/duplicates:
+   *   get:
+   *     summary: Groups of documents in a project that have identical content (same SHA-256)
+   *     description: Documents without a checksum are not compared; run `npm run backfill-checksums` for rows created before checksums were recorded.
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Duplicate groups, largest first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 duplicates:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       checksum:
+   *                         type: string
+   *                       count:
+   *                         type: integer
+   *                       documents:
+   *                         type: array
+   *                         items:
+   *                           type: object
+   *                 unchecked:
+   *                   type: integer
+   *                   description: Number of documents without a checksum
    */
-  router.get('/documents/project/:project_id/processed', async (req, res) => {
+  router.get('/documents/project/:project_id/duplicates', projectAccess, async (req, res, next) => {
     try {
       const projectId = req.params.project_id;
       if (!projectId) return res.status(400).json({ error: 'project_id is required' });
       if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
 
-      const query = `SELECT * FROM documents WHERE project_id = $1 AND lower(status) = 'processed' ORDER BY filename`;
-      const { rows } = await pool.query(query, [projectId]);
+      const q = `SELECT checksum, COUNT(*)::int AS count,
+          json_agg(json_build_object('id', id, 'filename', filename, 'source', source, 'status', status, 'created_at', created_at) ORDER BY created_at) AS documents
+        FROM documents
+        WHERE project_id = $1 AND deleted_at IS NULL AND checksum IS NOT NULL
+        GROUP BY checksum
+        HAVING COUNT(*) > 1
+        ORDER BY count DESC, checksum`;
+      const { rows } = await pool.query(q, [projectId]);
+      const { rows: unchecked } = await pool.query(
+        `SELECT COUNT(*)::int AS count FROM documents WHERE project_id = $1 AND deleted_at IS NULL AND checksum IS NULL`,
+        [projectId]
+      );
 
-      return res.json({ documents: rows });
+      return res.json({ duplicates: rows, unchecked: unchecked[0].count });
     } catch (err) {
-      return res.status(500).json({ error: err.message });
+      return next(err);
     }
   });
 
@@ -228,6 +351,9 @@ module.exports = (pool) => {
    * /documents/project/{project_id}/summary:
    *   get:
    *     summary: Document summary counts by source and status for a project
+   *     description: |
+   *       `usage` gives the project's document count and stored bytes (every version counts) next
+   *       to its quota; `max_*` and `remaining_*` are null when there is no limit.
    *     parameters:
    *       - in: path
    *         name: project_id
@@ -242,13 +368,13 @@ module.exports = (pool) => {
    *             schema:
    *               type: object
    */
-  router.get('/documents/project/:project_id/summary', async (req, res) => {
+  router.get('/documents/project/:project_id/summary', projectAccess, async (req, res, next) => {
     try {
       const projectId = req.params.project_id;
       if (!projectId) return res.status(400).json({ error: 'project_id is required' });
       if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
 
-      const q = `SELECT source, status, COUNT(*)::int AS count FROM documents WHERE project_id = $1 GROUP BY source, status`;
+      const q = `SELECT source, status, COUNT(*)::int AS count FROM documents WHERE project_id = $1 AND deleted_at IS NULL GROUP BY source, status`;
       const { rows } = await pool.query(q, [projectId]);
 
       const summary = {};
@@ -270,9 +396,657 @@ module.exports = (pool) => {
         if (String(status).toLowerCase() === 'analysed' || String(status).toLowerCase() === 'analyzed') total_analysed += cnt;
       }
 
-      return res.json({ sources: summary, total_processed, total_analysed, total: total_all });
+      const usage = await quotaStatus(pool, projectId);
+      return res.json({ sources: summary, total_processed, total_analysed, total: total_all, usage });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/expiring:
+   *   get:
+   *     summary: Policies whose expiry date falls within the coming days
+   *     description: |
+   *       Documents with an `expiry_date` from today (UTC) up to `within` ahead, soonest first.
+   *       Archived documents are left out. `days_left` is negative for documents that have
+   *       already expired, which are only listed with `include_expired=true`.
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: within
+   *         description: How far ahead to look, in days (`30d` or `30`), weeks (`6w`) or 30-day months (`3m`)
+   *         schema:
+   *           type: string
+   *           default: 30d
+   *       - in: query
+   *         name: include_expired
+   *         description: Also list documents whose expiry date has passed
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *     responses:
+   *       200:
+   *         description: Expiring documents
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 within_days:
+   *                   type: integer
+   *                 documents:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: string
+   *                       filename:
+   *                         type: string
+   *                       category:
+   *                         type: string
+   *                       owner:
+   *                         type: string
+   *                       jurisdiction:
+   *                         type: string
+   *                       effective_date:
+   *                         type: string
+   *                         format: date
+   *                       expiry_date:
+   *                         type: string
+   *                         format: date
+   *                       status:
+   *                         type: string
+   *                       days_left:
+   *                         type: integer
+   *       400:
+   *         description: Invalid `within`
+   */
+  router.get('/documents/project/:project_id/expiring', projectAccess, async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+      const days = metadata.parseWithin(req.query.within);
+      const includeExpired = String(req.query.include_expired).toLowerCase() === 'true';
+
+      const { rows } = await pool.query(
+        `SELECT id, filename, category, owner, jurisdiction, effective_date, expiry_date, tags, status,
+           expiry_date - (now() AT TIME ZONE 'UTC')::date AS days_left
+         FROM documents
+         WHERE project_id = $1 AND deleted_at IS NULL AND expiry_date IS NOT NULL
+           AND expiry_date <= (now() AT TIME ZONE 'UTC')::date + $2::int
+           AND ($3 OR expiry_date >= (now() AT TIME ZONE 'UTC')::date)
+           AND lower(COALESCE(status, '')) <> 'archived'
+         ORDER BY expiry_date, id`,
+        [req.params.project_id, days, includeExpired]
+      );
+      return res.json({ within_days: days, documents: rows });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/{document_id}:
+   *   get:
+   *     summary: Retrieve a document's metadata
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: include_content
+   *         description: Include the extracted `document_content` text
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *     responses:
+   *       200:
+   *         description: Document retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 document:
+   *                   type: object
+   *       404:
+   *         description: Document not found
+   */
+  router.get('/documents/:document_id', documentAccess, async (req, res, next) => {
+    try {
+      const id = req.params.document_id;
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const { rows } = await pool.query(`SELECT * FROM documents WHERE id = $1 AND deleted_at IS NULL`, [id]);
+      if (!rows.length) return res.status(404).json({ error: 'document not found' });
+
+      return res.json({ document: presentDocument(rows[0], req.query.include_content === 'true') });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/{document_id}:
+   *   patch:
+   *     summary: Rename, re-categorize or move a document
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               filename:
+   *                 type: string
+   *               source:
+   *                 type: string
+   *                 example: Upload
+   *               status:
+   *                 type: string
+   *                 example: processed
+   *                 description: Must be a move the status lifecycle allows (see POST /documents/{document_id}/transition)
+   *               project_id:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Document updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 document:
+   *                   type: object
+   *       400:
+   *         description: No updatable fields or an invalid value
+   *       404:
+   *         description: Document not found
+   *       409:
+   *         description: The status change is not allowed from the current status
+   *       507:
+   *         description: The document would exceed the destination project's document or storage quota
+   */
+  router.patch('/documents/:document_id', documentAccess, async (req, res, next) => {
+    if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+    let client;
+    try {
+      const id = req.params.document_id;
+      const body = req.body || {};
+      const changes = {};
+      for (const field of UPDATABLE_FIELDS) {
+        if (body[field] === undefined) continue;
+        if (typeof body[field] !== 'string' || !body[field].trim()) {
+          return res.status(400).json({ error: `${field} must be a non-empty string` });
+        }
+        changes[field] = body[field].trim();
+      }
+      if (!Object.keys(changes).length) {
+        return res.status(400).json({ error: `Provide at least one of: ${UPDATABLE_FIELDS.join(', ')}` });
+      }
+      // Moving a document requires access to the destination project too
+      if (changes.project_id !== undefined && !(await auth.canAccessProject(pool, req.user, changes.project_id))) {
+        return res.status(403).json({ error: 'You do not have access to the target project' });
+      }
+
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const { rows: current } = await client.query(`SELECT * FROM documents WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [id]);
+      if (!current.length) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'document not found' });
+      }
+      const doc = current[0];
+
+      // Status changes follow the same lifecycle as POST /documents/:document_id/transition
+      if (changes.status !== undefined) {
+        const same = lifecycle.normalizeStatus(changes.status) && lifecycle.normalizeStatus(changes.status) === lifecycle.normalizeStatus(doc.status);
+        if (same) delete changes.status;
+        else changes.status = lifecycle.assertTransition(doc.status, changes.status);
+      }
+
+      const diff = {};
+      for (const [field, value] of Object.entries(changes)) {
+        if (String(doc[field]) !== value) diff[field] = { from: doc[field], to: value };
+      }
+      if (!Object.keys(diff).length) {
+        await client.query('ROLLBACK');
+        return res.json({ document: presentDocument(doc) });
+      }
+
+      // The document and the bytes of its versions count towards the destination's quota from now on
+      let quota = null;
+      if (diff.project_id) {
+        const { rows: usage } = await client.query(
+          `SELECT COALESCE(SUM(size_bytes), 0)::float8 AS bytes FROM document_versions WHERE document_id = $1 AND restored_from IS NULL`,
+          [id]
+        );
+        quota = await reserveQuota(client, diff.project_id.to, { bytes: usage[0].bytes, newDocument: true });
+      }
+
+      let updated = doc;
+      const fields = Object.keys(diff).filter((f) => f !== 'status');
+      if (fields.length) {
+        const { rows } = await client.query(
+          `UPDATE documents SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(', ')} WHERE id = $1 RETURNING *`,
+          [id, ...fields.map((f) => diff[f].to)]
+        );
+        updated = rows[0];
+      }
+      // With the same side effects as a transition
+      if (diff.status) updated = await lifecycle.applyStatus(client, id, diff.status.to);
+      await lifecycle.recordEvent(client, {
+        documentId: id,
+        projectId: updated.project_id,
+        type: 'updated',
+        actor: req.user ? req.user.id : null,
+        fromStatus: diff.status ? doc.status : null,
+        toStatus: diff.status ? diff.status.to : null,
+        details: { changes: diff },
+      });
+      await client.query('COMMIT');
+      setQuotaHeaders(res, quota);
+
+      return res.json({ document: presentDocument(updated) });
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      if (err.details && err.details.quota) setQuotaHeaders(res, err.details.quota);
+      return next(err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/{document_id}/metadata:
+   *   patch:
+   *     summary: Set a document's policy metadata and tags
+   *     description: |
+   *       Only the fields present change; `null` (or an empty string) clears one. `tags` replaces the
+   *       whole set, while `add_tags` and `remove_tags` edit it. Tags are lowercased. The change is
+   *       kept in the document's history.
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               category:
+   *                 type: string
+   *                 nullable: true
+   *                 example: Privacy
+   *               owner:
+   *                 type: string
+   *                 nullable: true
+   *               jurisdiction:
+   *                 type: string
+   *                 nullable: true
+   *                 example: EU
+   *               effective_date:
+   *                 type: string
+   *                 format: date
+   *                 nullable: true
+   *               expiry_date:
+   *                 type: string
+   *                 format: date
+   *                 nullable: true
+   *               tags:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               add_tags:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               remove_tags:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       200:
+   *         description: Metadata updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 document:
+   *                   type: object
+   *       400:
+   *         description: No metadata fields, an invalid value, or an expiry date before the effective date
+   *       404:
+   *         description: Document not found
+   */
+  router.patch('/documents/:document_id/metadata', documentAccess, async (req, res, next) => {
+    if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+    let client;
+    try {
+      const id = req.params.document_id;
+      const body = req.body || {};
+      const changes = metadata.parseMetadata(body);
+      const addTags = body.add_tags === undefined ? [] : metadata.parseTags('add_tags', body.add_tags);
+      const removeTags = body.remove_tags === undefined ? [] : metadata.parseTags('remove_tags', body.remove_tags);
+      if (changes.tags && (addTags.length || removeTags.length)) {
+        return res.status(400).json({ error: 'Use either tags or add_tags/remove_tags' });
+      }
+      if (!Object.keys(changes).length && body.add_tags === undefined && body.remove_tags === undefined) {
+        return res.status(400).json({ error: `Provide at least one of: ${[...metadata.METADATA_FIELDS, 'add_tags', 'remove_tags'].join(', ')}` });
+      }
+
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const { rows: current } = await client.query(`SELECT * FROM documents WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [id]);
+      if (!current.length) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'document not found' });
+      }
+      const doc = current[0];
+
+      if (addTags.length || removeTags.length) {
+        changes.tags = metadata.parseTags('tags', [...doc.tags, ...addTags].filter((t) => !removeTags.includes(t)));
+      }
+      // A date sent alone still has to fit the one already stored
+      metadata.checkDates({ ...doc, ...changes });
+
+      const diff = {};
+      for (const [field, value] of Object.entries(changes)) {
+        if (JSON.stringify(doc[field]) !== JSON.stringify(value)) diff[field] = { from: doc[field], to: value };
+      }
+      if (!Object.keys(diff).length) {
+        await client.query('ROLLBACK');
+        return res.json({ document: presentDocument(doc) });
+      }
+
+      const updated = await metadata.applyMetadata(client, id, Object.fromEntries(Object.entries(diff).map(([f, d]) => [f, d.to])));
+      await lifecycle.recordEvent(client, {
+        documentId: id,
+        projectId: doc.project_id,
+        type: 'updated',
+        actor: req.user ? req.user.id : null,
+        details: { changes: diff },
+      });
+      await client.query('COMMIT');
+
+      return res.json({ document: presentDocument(updated) });
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      return next(err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/{document_id}/transition:
+   *   post:
+   *     summary: Move a document to another status in its lifecycle
+   *     description: |
+   *       Allowed moves: pending → processing, failed, archived; processing → processed, failed, pending, archived;
+   *       processed → analysed, failed, pending, archived; analysed → pending, archived; failed → pending, archived;
+   *       archived → pending. Moving to `pending` queues the document for text extraction again.
+   *       Documents holding a status from before the lifecycle existed may move to any status.
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - status
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [pending, processing, processed, analysed, failed, archived]
+   *               reason:
+   *                 type: string
+   *                 description: Kept in the document's history
+   *     responses:
+   *       200:
+   *         description: Status changed
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 document:
+   *                   type: object
+   *                 event:
+   *                   type: object
+   *       400:
+   *         description: Unknown status
+   *       404:
+   *         description: Document not found
+   *       409:
+   *         description: The move is not allowed from the current status; `allowed` lists the statuses that are
+   */
+  router.post('/documents/:document_id/transition', documentAccess, async (req, res, next) => {
+    if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+    let client;
+    try {
+      const id = req.params.document_id;
+      const body = req.body || {};
+      if (typeof body.status !== 'string' || !body.status.trim()) return res.status(400).json({ error: 'status is required' });
+      if (body.reason !== undefined && typeof body.reason !== 'string') return res.status(400).json({ error: 'reason must be a string' });
+
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const { rows: current } = await client.query(`SELECT * FROM documents WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [id]);
+      if (!current.length) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'document not found' });
+      }
+      const doc = current[0];
+      const status = lifecycle.assertTransition(doc.status, body.status);
+
+      const document = await lifecycle.applyStatus(client, id, status);
+      const reason = body.reason && body.reason.trim();
+      const event = await lifecycle.recordEvent(client, {
+        documentId: id,
+        projectId: doc.project_id,
+        type: 'status_changed',
+        actor: req.user ? req.user.id : null,
+        fromStatus: doc.status,
+        toStatus: status,
+        details: reason ? { reason } : null,
+      });
+      await client.query('COMMIT');
+
+      return res.json({ document: presentDocument(document), event });
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      return next(err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/{document_id}/history:
+   *   get:
+   *     summary: A document's audit trail, oldest first
+   *     description: |
+   *       Every creation, new version or rollback, status change (by a user or the extraction worker)
+   *       and metadata edit, with who made it (`actor` is null for the service itself) and when.
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: History entries
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 events:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                       type:
+   *                         type: string
+   *                         enum: [created, version_added, status_changed, updated, deleted, restored, purged]
+   *                       actor:
+   *                         type: string
+   *                         nullable: true
+   *                       from_status:
+   *                         type: string
+   *                       to_status:
+   *                         type: string
+   *                       details:
+   *                         type: object
+   *                       created_at:
+   *                         type: string
+   *                         format: date-time
+   *       404:
+   *         description: Document not found
+   */
+  router.get('/documents/:document_id/history', documentAccess, async (req, res, next) => {
+    try {
+      const id = req.params.document_id;
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const { rows: docs } = await pool.query(`SELECT id FROM documents WHERE id = $1`, [id]);
+      if (!docs.length) return res.status(404).json({ error: 'document not found' });
+
+      const { rows } = await pool.query(
+        `SELECT id, type, actor, from_status, to_status, details, created_at FROM document_events WHERE document_id = $1 ORDER BY id`,
+        [id]
+      );
+      return res.json({ document_id: id, events: rows });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/{document_id}:
+   *   delete:
+   *     summary: Move a document to the trash, or delete it for good
+   *     description: |
+   *       A trashed document disappears from lists, searches and summaries but keeps its files; it
+   *       can be restored from `GET /documents/project/{project_id}/trash` until the project's
+   *       retention period has passed, when it is purged. `permanent=true` purges it at once,
+   *       removing the files of all its versions. Documents under legal hold can be trashed but
+   *       not purged.
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: permanent
+   *         description: Delete the document and its files now instead of moving it to the trash (also works on trashed documents)
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *     responses:
+   *       200:
+   *         description: Document trashed or deleted
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 document_id:
+   *                   type: string
+   *                 message:
+   *                   type: string
+   *                   example: document moved to trash
+   *                 purge_after:
+   *                   type: string
+   *                   format: date-time
+   *                   nullable: true
+   *                   description: When the trashed document will be purged; null under legal hold or without a retention period
+   *       404:
+   *         description: Document not found
+   *       409:
+   *         description: permanent=true on a document under legal hold
+   */
+  router.delete('/documents/:document_id', documentAccess, async (req, res, next) => {
+    if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+    let client;
+    try {
+      const id = req.params.document_id;
+      const actor = req.user ? req.user.id : null;
+      if (String(req.query.permanent).toLowerCase() === 'true') {
+        const doc = await retention.purgeDocument(pool, id, { actor });
+        if (!doc) return res.status(404).json({ error: 'document not found' });
+        return res.json({ document_id: doc.id, message: 'document deleted' });
+      }
+
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const { rows: current } = await client.query(`SELECT * FROM documents WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [id]);
+      if (!current.length) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'document not found' });
+      }
+      const { rows } = await client.query(
+        `UPDATE documents SET deleted_at = now(), deleted_by = $2 WHERE id = $1 RETURNING *`,
+        [id, actor]
+      );
+      const doc = rows[0];
+      await lifecycle.recordEvent(client, {
+        documentId: id,
+        projectId: doc.project_id,
+        type: 'deleted',
+        actor,
+        fromStatus: doc.status,
+        details: { filename: doc.filename },
+      });
+      await client.query('COMMIT');
+
+      const rule = await retention.projectRetention(pool, doc.project_id);
+      return res.json({ document_id: doc.id, message: 'document moved to trash', purge_after: retention.purgeAfter(doc, rule) });
     } catch (err) {
-      return res.status(500).json({ error: err.message });
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      return next(err);
+    } finally {
+      if (client) client.release();
     }
   });
 
@@ -0,0 +1,89 @@
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+// Machine readable `code` of error responses, by status, unless the error names its own
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  416: 'range_not_satisfiable',
+  422: 'unprocessable_entity',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'storage_error',
+  503: 'unavailable',
+  507: 'quota_exceeded',
+};
+
+function codeFor(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+}
+
+// Error carrying the HTTP status a route should answer with; `details` are merged
+// into the JSON error body and `details.code` overrides the status' error code.
+// `options.cause` is logged, never sent to the client.
+class HttpError extends Error {
+  constructor(status, message, details = {}, options) {
+    super(message, options);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = details.code || codeFor(status);
+    this.details = details;
+  }
+}
+
+// Postgres errors carry a five character SQLSTATE; only malformed input (a document id
+// that isn't a UUID, ...) is the client's fault
+function fromDatabaseError(err) {
+  if (typeof err.code !== 'string' || !/^[0-9A-Z]{5}$/.test(err.code) || !err.severity) return null;
+  if (err.code === '22P02') return new HttpError(400, 'Invalid identifier or parameter', { code: 'invalid_input' });
+  return new HttpError(500, 'Database error', { code: 'database_error' }, { cause: err });
+}
+
+// The error a client gets to see for `err`: HttpErrors as they are, anything else as a
+// generic 500 (or 400 for malformed input) with the original kept as `cause`
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+  // Client errors from Express middleware (a JSON body that doesn't parse, ...) say so with `expose`
+  if (err.expose && err.status >= 400 && err.status < 500) return new HttpError(err.status, err.message);
+  return fromDatabaseError(err) || new HttpError(500, 'Internal server error', {}, { cause: err });
+}
+
+/**
+ * Final error middleware. HttpErrors are answered with their status, message and details;
+ * anything else becomes a 500 whose message stays in the log, so database and storage
+ * internals don't reach clients. Only failures with such a cause are logged as errors.
+ */
+function errorHandler() {
+  // Express only treats four-parameter functions as error middleware, so `next` stays
+  return (err, req, res, next) => {
+    const error = toHttpError(err);
+    const log = req.log || logger;
+    if (error.cause) log.error(error.message, { err: error.cause, method: req.method, path: req.path });
+
+    if (res.headersSent) return res.destroy(err);
+    return res.status(error.status).json({ error: error.message, ...error.details, code: error.code });
+  };
+}
+
+// Adds `code` and `request_id` to every JSON error body, including the ones routes send
+// themselves, and counts error responses
+function errorBodies() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && 'error' in body) {
+        body = { ...body, code: body.code || codeFor(res.statusCode), request_id: req.id };
+        metrics.apiErrors.inc({ status: res.statusCode, code: body.code });
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = { HttpError, ERROR_CODES, toHttpError, errorHandler, errorBodies };
@@ -0,0 +1,152 @@
+const path = require('path');
+const express = require('express');
+const archiver = require('archiver');
+const storage = require('./storage');
+const auth = require('./auth');
+const { sanitizeFilename } = require('./filetype');
+const { buildFilters } = require('./listing');
+
+const MANIFEST_COLUMNS = [
+  'id', 'filename', 'source', 'status', 'created_at', 'has_text', 'mimetype', 'size_bytes', 'checksum',
+  'category', 'owner', 'jurisdiction', 'effective_date', 'expiry_date', 'tags', 'file',
+];
+
+// Archive paths use the sanitised filename (no `..` or separators) and stay unique within the ZIP
+function entryName(taken, filename) {
+  const safe = sanitizeFilename(filename);
+  const ext = path.extname(safe);
+  const stem = safe.slice(0, safe.length - ext.length);
+  let name = `files/${safe}`;
+  for (let n = 2; taken.has(name.toLowerCase()); n += 1) name = `files/${stem}-${n}${ext}`;
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join(';');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [MANIFEST_COLUMNS.join(',')];
+  for (const row of rows) lines.push(MANIFEST_COLUMNS.map((c) => csvValue(row[c])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Appends the object at `location` and resolves to true once archiver has written it, or
+// to false if the export broke off first. The stream is only opened here: a driver's
+// stream can hold the whole object (Supabase) or a file descriptor (local disk), so only
+// one may be open at a time.
+function appendFile(archive, res, location, data) {
+  return new Promise((resolve) => {
+    const source = location.driver.getStream(location.key);
+    const finish = (written) => {
+      archive.off('entry', onEntry);
+      archive.off('error', onStop);
+      res.off('close', onStop);
+      if (!written) source.destroy();
+      resolve(written);
+    };
+    const onEntry = () => finish(true);
+    const onStop = () => finish(false);
+    archive.on('entry', onEntry);
+    archive.on('error', onStop);
+    res.on('close', onStop);
+    archive.append(source, data);
+  });
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const projectAccess = auth.requireProjectAccess(pool, auth.projectFromParams);
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/export:
+   *   get:
+   *     summary: Download a project's documents as a ZIP with a metadata manifest
+   *     description: |
+   *       The archive holds the stored files under `files/` plus `manifest.json` and `manifest.csv`
+   *       describing every matching document. Documents whose file is missing from storage are
+   *       listed in the manifest with `file` set to null.
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ListFilters'
+   *     responses:
+   *       200:
+   *         description: ZIP archive stream
+   *         content:
+   *           application/zip:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *       400:
+   *         description: Invalid date filter
+   */
+  router.get('/documents/project/:project_id/export', projectAccess, async (req, res, next) => {
+    try {
+      const projectId = req.params.project_id;
+      if (!projectId) return res.status(400).json({ error: 'project_id is required' });
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const params = [projectId];
+      const filters = buildFilters(req.query, params);
+
+      const query = `SELECT id, filename, file_path, storage_provider, storage_key, source, status, created_at, mimetype, size_bytes, checksum,
+          category, owner, jurisdiction, effective_date, expiry_date, tags,
+          (document_content IS NOT NULL AND document_content <> '') AS has_text
+        FROM documents WHERE project_id = $1 AND deleted_at IS NULL ${filters.join(' ')} ORDER BY filename, id`;
+      const { rows } = await pool.query(query, params);
+
+      // Check every object before the first byte goes out: a missing file can still be
+      // reported in the manifest then, instead of breaking the archive halfway
+      const taken = new Set();
+      const entries = [];
+      for (const doc of rows) {
+        let location = null;
+        try {
+          const found = storage.locate(doc);
+          if (await found.driver.exists(found.key)) location = found;
+        } catch (err) {
+          location = null;
+        }
+        const { file_path, storage_provider, storage_key, ...meta } = doc;
+        entries.push({ location, meta: { ...meta, file: location ? entryName(taken, doc.filename) : null } });
+      }
+
+      const archive = archiver('zip', { zlib: { level: 6 } });
+      archive.on('error', (err) => {
+        req.log.error('Export failed', { project_id: projectId, err });
+        res.destroy(err);
+      });
+      // A client that goes away stops the archive instead of leaving it waiting on the socket
+      res.on('close', () => {
+        if (!res.writableFinished) archive.abort();
+      });
+      res.attachment(`project-${sanitizeFilename(String(projectId))}-documents.zip`);
+      archive.pipe(res);
+
+      for (const { location, meta } of entries) {
+        if (location && !(await appendFile(archive, res, location, { name: meta.file, date: meta.created_at }))) return undefined;
+      }
+      const manifest = entries.map((e) => e.meta);
+      const exportedAt = new Date().toISOString();
+      archive.append(JSON.stringify({ project_id: projectId, exported_at: exportedAt, documents: manifest }, null, 2), {
+        name: 'manifest.json',
+      });
+      archive.append(toCsv(manifest), { name: 'manifest.csv' });
+      await archive.finalize();
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  return router;
+};
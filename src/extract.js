@@ -0,0 +1,112 @@
+const { promisify } = require('util');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const yauzl = require('yauzl');
+const { convert: htmlToText } = require('html-to-text');
+const filetype = require('./filetype');
+
+const openZip = promisify(yauzl.fromBuffer);
+
+// An ODT's content.xml larger than this is refused rather than inflated into memory
+const ODF_CONTENT_MAX_BYTES = 64 * 1024 * 1024;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Reads one entry of a ZIP held in memory; resolves to null if the archive doesn't have it
+async function readZipEntry(buffer, name, maxBytes) {
+  const zip = await openZip(buffer, { lazyEntries: true });
+  const openEntry = promisify(zip.openReadStream.bind(zip));
+  try {
+    return await new Promise((resolve, reject) => {
+      zip.on('error', reject);
+      zip.on('end', () => resolve(null));
+      zip.on('entry', (entry) => {
+        if (entry.fileName !== name) return zip.readEntry();
+        if (entry.uncompressedSize > maxBytes) return reject(new Error(`${name} exceeds ${maxBytes} bytes`));
+        return openEntry(entry)
+          .then(async (stream) => {
+            const chunks = [];
+            for await (const chunk of stream) chunks.push(chunk);
+            resolve(Buffer.concat(chunks));
+          })
+          .catch(reject);
+      });
+      zip.readEntry();
+    });
+  } finally {
+    zip.close();
+  }
+}
+
+// The text of an ODF content.xml: paragraphs and headings on lines of their own, with
+// tabs, line breaks and runs of spaces (`<text:s text:c="3"/>`) kept
+function odfText(xml) {
+  const body = xml.slice(Math.max(xml.indexOf('<office:body'), 0));
+  return body
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (tag, count) => ' '.repeat(Number(count || 1)))
+    .replace(/<\/text:(?:p|h)>|<text:(?:p|h)\b[^>]*\/>/g, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(?:#(\d+)|#x([0-9a-f]+)|(\w+));/gi, (entity, dec, hex, named) => {
+      if (dec || hex) return String.fromCodePoint(parseInt(dec || hex, dec ? 10 : 16));
+      return XML_ENTITIES[named] || entity;
+    });
+}
+
+const extractors = {
+  async pdf(buffer) {
+    // pdf.js misreads Buffer instances, so hand it a plain Uint8Array copy
+    const { text } = await pdfParse(new Uint8Array(buffer));
+    return text;
+  },
+
+  async docx(buffer) {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return value;
+  },
+
+  async doc(buffer) {
+    const document = await new WordExtractor().extract(buffer);
+    return document.getBody();
+  },
+
+  async odt(buffer) {
+    const content = await readZipEntry(buffer, 'content.xml', ODF_CONTENT_MAX_BYTES);
+    if (!content) throw new Error('The ODT file has no content.xml');
+    return odfText(content.toString('utf8'));
+  },
+
+  async html(buffer) {
+    return htmlToText(buffer.toString('utf8'), {
+      wordwrap: false,
+      selectors: [
+        { selector: 'a', options: { ignoreHref: true } },
+        { selector: 'img', format: 'skip' },
+      ],
+    });
+  },
+
+  async txt(buffer) {
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+  },
+};
+
+/**
+ * Extracts plain text from any format accepted for upload (PDF, DOCX, DOC, ODT, HTML or
+ * text). Throws when the format is not supported.
+ */
+async function extractText(buffer, meta = {}) {
+  const type = filetype.detect(buffer.subarray(0, filetype.SNIFF_BYTES), meta.filename);
+  if (!extractors[type]) throw new Error(`Unsupported file type for text extraction: ${meta.filename || 'unknown'}`);
+
+  const text = await extractors[type](buffer);
+  // Postgres text columns reject NUL characters
+  return String(text || '').replace(/\u0000/g, '').trim();
+}
+
+// Formats `extractText` reads, keys of filetype.TYPES
+const SUPPORTED_TYPES = Object.keys(extractors);
+
+module.exports = { extractText, SUPPORTED_TYPES };
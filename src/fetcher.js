@@ -0,0 +1,109 @@
+require('dotenv').config();
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { HttpError } = require('./errors');
+
+const USER_AGENT = process.env.SCRAPE_USER_AGENT || 'PolicyFilesBot/1.0';
+const TIMEOUT_MS = parseInt(process.env.SCRAPE_TIMEOUT_MS, 10) || 30 * 1000;
+
+// Scraping and webhooks call URLs supplied by API callers, so by default they refuse to
+// talk to loopback, private and link-local addresses (cloud metadata endpoints live there).
+// SCRAPE_ALLOW_PRIVATE=true lifts that for scraping, e.g. for an intranet or a local test
+// server; webhooks have their own switch (WEBHOOK_ALLOW_PRIVATE).
+const ALLOW_PRIVATE = process.env.SCRAPE_ALLOW_PRIVATE === 'true';
+
+const privateRanges = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  privateRanges.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  privateRanges.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement for http.request: the address is checked after resolution, on
+// the connection that is actually made, so DNS tricks can't swap in a private one
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) return callback(new HttpError(403, `${hostname} resolves to a private address`));
+    return callback(null, address, family);
+  });
+}
+
+/**
+ * Checks that a URL can be fetched at all and returns it parsed: only http(s), and no
+ * private addresses unless `allowPrivate` (SCRAPE_ALLOW_PRIVATE by default) is set.
+ */
+function parseTarget(value, allowPrivate = ALLOW_PRIVATE) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (err) {
+    throw new HttpError(400, `Invalid URL: ${value}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new HttpError(400, `Only http and https URLs can be fetched: ${value}`);
+  if (url.username || url.password) throw new HttpError(400, 'URLs must not contain credentials');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivate && isPrivateAddress(host)) throw new HttpError(403, `${host} is a private address`);
+  url.hash = '';
+  return url;
+}
+
+/**
+ * A single HTTP request (GET unless `method` says otherwise) without following
+ * redirects. Resolves once the headers are in, with the response stream as `body`;
+ * callers must consume or destroy it.
+ */
+function request(value, { method = 'GET', headers = {}, body = null, timeout = TIMEOUT_MS, allowPrivate = ALLOW_PRIVATE } = {}) {
+  const url = parseTarget(value, allowPrivate);
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method,
+      headers: { 'User-Agent': USER_AGENT, Accept: '*/*', ...headers },
+      lookup: allowPrivate ? undefined : guardedLookup,
+      timeout,
+    }, (res) => {
+      // The timeout covers the whole transfer, not only the wait for headers
+      res.setTimeout(timeout, () => res.destroy(new HttpError(504, `Timed out reading ${url.href}`)));
+      resolve({ url, status: res.statusCode, headers: res.headers, body: res });
+    });
+    req.on('timeout', () => req.destroy(new HttpError(504, `Timed out fetching ${url.href}`)));
+    req.on('error', (err) => reject(err instanceof HttpError ? err : new HttpError(502, `Could not fetch ${url.href}: ${err.message}`)));
+    req.end(body);
+  });
+}
+
+// Reads a response body into memory, refusing anything over `maxBytes`
+async function readBody(body, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      body.destroy();
+      throw new HttpError(413, `Response exceeds ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function isRedirect(status) {
+  return [301, 302, 303, 307, 308].includes(status);
+}
+
+module.exports = { request, readBody, parseTarget, isRedirect, isPrivateAddress, USER_AGENT };
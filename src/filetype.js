@@ -0,0 +1,77 @@
+const path = require('path');
+const { TextDecoder } = require('util');
+
+// Policy formats accepted for upload, identified by content rather than the
+// client-supplied mimetype
+const TYPES = {
+  pdf: { mime: 'application/pdf', ext: '.pdf' },
+  docx: { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', ext: '.docx' },
+  doc: { mime: 'application/msword', ext: '.doc' },
+  odt: { mime: 'application/vnd.oasis.opendocument.text', ext: '.odt' },
+  html: { mime: 'text/html', ext: '.html' },
+  txt: { mime: 'text/plain', ext: '.txt' },
+};
+
+// How many leading bytes `detect` needs to tell the formats apart
+const SNIFF_BYTES = 8192;
+
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+function isText(head) {
+  if (head.includes(0)) return false;
+  try {
+    // `stream: true` tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Identifies a policy file from its first SNIFF_BYTES bytes. The filename is only used
+ * to tell apart formats that share a container (OLE for .doc). Returns a key of TYPES
+ * or null for anything else.
+ */
+function detect(head, filename = '') {
+  const ext = path.extname(filename).toLowerCase();
+
+  if (head.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+
+  if (head.subarray(0, 4).equals(ZIP_MAGIC)) {
+    // ODF stores an uncompressed `mimetype` entry first
+    if (head.subarray(30, 38).toString('latin1') === 'mimetype') {
+      return head.subarray(38, 38 + TYPES.odt.mime.length).toString('latin1') === TYPES.odt.mime ? 'odt' : null;
+    }
+    const names = head.toString('latin1');
+    if (names.includes('word/') || (ext === '.docx' && names.includes('[Content_Types].xml'))) return 'docx';
+    return null;
+  }
+
+  if (head.subarray(0, 8).equals(OLE_MAGIC)) return ext === '.doc' ? 'doc' : null;
+
+  if (!isText(head)) return null;
+  const start = head.toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  if (start.startsWith('<!doctype html') || start.startsWith('<html') || (['.html', '.htm'].includes(ext) && start.startsWith('<'))) {
+    return 'html';
+  }
+  return 'txt';
+}
+
+/**
+ * Makes an uploaded filename safe to use in a storage key: ASCII letters, digits,
+ * dots, dashes and underscores only, at most 120 characters, extension kept.
+ */
+function sanitizeFilename(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'));
+  const ascii = base.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  let safe = ascii.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/_+/g, '_').replace(/^[._]+/, '');
+  if (safe.length > 120) {
+    const ext = path.extname(safe).slice(0, 16);
+    safe = safe.slice(0, 120 - ext.length) + ext;
+  }
+  return safe || 'file';
+}
+
+module.exports = { TYPES, SNIFF_BYTES, detect, sanitizeFilename };
@@ -39,4 +39,10 @@ function getBucket() {
   return bucket;
 }
 
-module.exports = { getBucket, initialized: () => initialized };
+function getAuth() {
+  initIfPossible();
+  if (!initialized) throw new Error('Firebase not initialized. Set FIREBASE_SERVICE_ACCOUNT or FIREBASE_SERVICE_ACCOUNT_PATH.');
+  return admin.auth();
+}
+
+module.exports = { getBucket, getAuth, initialized: () => initialized };
@@ -0,0 +1,338 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const filetype = require('./filetype');
+const { HttpError } = require('./errors');
+const { recordEvent } = require('./lifecycle');
+const { applyMetadata } = require('./metadata');
+const { quotaStatus, reserveQuota } = require('./usage');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 50 * 1024 * 1024;
+
+// Formats accepted for upload, a comma-separated subset of filetype.TYPES
+const ALLOWED_TYPES = (process.env.UPLOAD_ALLOWED_TYPES || Object.keys(filetype.TYPES).join(','))
+  .split(',')
+  .map((t) => t.trim().toLowerCase())
+  .filter(Boolean);
+const unknownTypes = ALLOWED_TYPES.filter((t) => !filetype.TYPES[t]);
+if (unknownTypes.length) {
+  throw new Error(`Unknown UPLOAD_ALLOWED_TYPES: ${unknownTypes.join(', ')}. Supported: ${Object.keys(filetype.TYPES).join(', ')}`);
+}
+
+// Re-uploading a file with the same name into a project adds a version to the existing
+// document instead of creating a new one; VERSION_BY_FILENAME=false turns that off.
+const VERSION_BY_FILENAME = process.env.VERSION_BY_FILENAME !== 'false';
+
+// What to do when a project already holds a file with the same SHA-256:
+//   reject   - refuse the upload with 409
+//   existing - skip storing it and return the existing document
+//   allow    - store it anyway
+const DUPLICATE_POLICIES = ['reject', 'existing', 'allow'];
+const DUPLICATE_POLICY = (process.env.DUPLICATE_POLICY || 'existing').toLowerCase();
+if (!DUPLICATE_POLICIES.includes(DUPLICATE_POLICY)) {
+  throw new Error(`Unknown DUPLICATE_POLICY "${DUPLICATE_POLICY}". Use one of: ${DUPLICATE_POLICIES.join(', ')}`);
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Appends a version to a locked `documents` row and makes it current, filename included,
+ * so downloads and exports name the file after the version they serve. Documents created
+ * before versioning get their existing file recorded as version 1 first. The document
+ * goes back to `pending` so the extraction worker picks up the new content; the change is
+ * recorded in the document's history.
+ */
+async function addVersion(client, doc, {
+  filename,
+  file_path,
+  storage_provider = null,
+  storage_key = null,
+  size_bytes = null,
+  checksum = null,
+  mimetype = null,
+  uploaded_by = null,
+  restored_from = null,
+}) {
+  let current = doc.current_version;
+  if (current == null) {
+    await client.query(
+      `INSERT INTO document_versions (id, document_id, version, filename, file_path, storage_provider, storage_key, created_at)
+       VALUES ($1,$2,1,$3,$4,$5,$6,$7)`,
+      [uuidv4(), doc.id, doc.filename, doc.file_path, doc.storage_provider, doc.storage_key, doc.created_at]
+    );
+    current = 1;
+  }
+
+  const { rows: versions } = await client.query(
+    `INSERT INTO document_versions (id, document_id, version, filename, file_path, storage_provider, storage_key, size_bytes, checksum, mimetype, uploaded_by, restored_from)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12) RETURNING *`,
+    [uuidv4(), doc.id, current + 1, filename, file_path, storage_provider, storage_key, size_bytes, checksum, mimetype, uploaded_by, restored_from]
+  );
+  const { rows } = await client.query(
+    `UPDATE documents SET file_path = $2, storage_provider = $3, storage_key = $4, current_version = $5, checksum = $6, mimetype = $7,
+       size_bytes = $8, filename = $9, status = 'pending', document_content = NULL, processing_error = NULL
+     WHERE id = $1 RETURNING *`,
+    [doc.id, file_path, storage_provider, storage_key, current + 1, checksum, mimetype, size_bytes, filename]
+  );
+  await recordEvent(client, {
+    documentId: doc.id,
+    projectId: doc.project_id,
+    type: 'version_added',
+    actor: uploaded_by,
+    fromStatus: doc.status,
+    toStatus: 'pending',
+    details: { version: current + 1, filename, ...(restored_from ? { restored_from } : {}) },
+  });
+  return { document: rows[0], version: versions[0] };
+}
+
+async function findTarget(client, { projectId, documentId, originalName, matchFilename }) {
+  if (documentId) {
+    const { rows } = await client.query(`SELECT * FROM documents WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [documentId]);
+    if (!rows.length) throw new HttpError(404, 'document not found');
+    if (String(rows[0].project_id) !== String(projectId)) throw new HttpError(400, 'document_id belongs to a different project');
+    return rows[0];
+  }
+  if (!matchFilename) return null;
+  const { rows } = await client.query(
+    `SELECT * FROM documents WHERE project_id = $1 AND filename = $2 AND deleted_at IS NULL ORDER BY created_at DESC LIMIT 1 FOR UPDATE`,
+    [projectId, originalName]
+  );
+  return rows[0] || null;
+}
+
+async function findDuplicate(pool, projectId, checksum) {
+  const { rows } = await pool.query(
+    `SELECT * FROM documents WHERE project_id = $1 AND checksum = $2 AND deleted_at IS NULL ORDER BY created_at LIMIT 1`,
+    [projectId, checksum]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Pass-through stream that identifies the format from the leading bytes, enforces the
+ * size limit and hashes the content on its way to storage. Emits `type` once the format
+ * is known; nothing is passed on before that. When the limit is what is left of the
+ * project's storage quota (`quota`), going over it is a 507 rather than a 413.
+ */
+class InspectStream extends Transform {
+  constructor({ filename, maxBytes, allowedTypes, quota = null }) {
+    super();
+    this.filename = filename;
+    this.maxBytes = maxBytes;
+    this.quota = quota;
+    this.allowedTypes = allowedTypes;
+    this.head = [];
+    this.headLength = 0;
+    this.type = null;
+    this.size = 0;
+    this.hash = crypto.createHash('sha256');
+  }
+
+  _transform(chunk, encoding, cb) {
+    this.size += chunk.length;
+    if (this.size > this.maxBytes) {
+      if (this.quota) return cb(new HttpError(507, 'The file does not fit in the project\'s storage quota', { quota: this.quota }));
+      return cb(new HttpError(413, `File exceeds the ${this.maxBytes} byte upload limit`));
+    }
+    this.hash.update(chunk);
+    if (this.type) return cb(null, chunk);
+
+    this.head.push(chunk);
+    this.headLength += chunk.length;
+    if (this.headLength < filetype.SNIFF_BYTES) return cb();
+    return this.identify(cb);
+  }
+
+  _flush(cb) {
+    if (this.type) return cb();
+    if (!this.headLength) return cb(new HttpError(400, 'File is empty'));
+    return this.identify(cb);
+  }
+
+  identify(cb) {
+    const head = Buffer.concat(this.head);
+    this.head = null;
+    const type = filetype.detect(head.subarray(0, filetype.SNIFF_BYTES), this.filename);
+    if (!type || !this.allowedTypes.includes(type)) {
+      return cb(new HttpError(415, `Unsupported file type. Allowed formats: ${this.allowedTypes.join(', ')}`));
+    }
+    this.type = type;
+    this.emit('type', type);
+    return cb(null, head);
+  }
+}
+
+/**
+ * Streams a file (Buffer or Readable) into the primary storage driver after checking its
+ * format and size. The storage key is derived from the sanitised filename. Given the
+ * project's `quota` status (see usage.quotaStatus), the file is also cut off with a 507
+ * once it outgrows the bytes left, instead of being refused by `recordFile` after it was
+ * written. Returns `{ driver, key, location, size_bytes, checksum, mimetype, type }`.
+ */
+async function storeFile(body, { originalName, maxBytes = UPLOAD_MAX_BYTES, allowedTypes = ALLOWED_TYPES, quota = null }) {
+  const quotaBound = Boolean(quota) && quota.remaining_bytes !== null && quota.remaining_bytes < maxBytes;
+  const inspector = new InspectStream({
+    filename: originalName,
+    maxBytes: quotaBound ? quota.remaining_bytes : maxBytes,
+    allowedTypes,
+    quota: quotaBound ? quota : null,
+  });
+  const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+  source.on('error', (err) => inspector.destroy(err));
+  source.pipe(inspector);
+
+  const type = await new Promise((resolve, reject) => {
+    inspector.once('type', resolve);
+    inspector.once('error', reject);
+  });
+
+  // Firebase first, Supabase as fallback, unless STORAGE_DRIVER pins one
+  const driver = storage.primary();
+  if (storage.isFallback(driver)) {
+    metrics.storageFallbacks.inc({ from: 'firebase', to: driver.name });
+    logger.warn('Firebase Storage unavailable, uploading to the fallback provider', { provider: driver.name });
+  }
+  // The random part keeps keys unique when several files with the same name arrive in the same millisecond
+  const key = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}_${filetype.sanitizeFilename(originalName)}`;
+  const { mime } = filetype.TYPES[type];
+  let stored;
+  try {
+    stored = await driver.put(key, inspector, { contentType: mime });
+  } catch (err) {
+    await driver.delete(key).catch(() => {});
+    // Prefer our own 413/507 over whatever the driver made of the aborted stream
+    if (inspector.errored) throw inspector.errored;
+    metrics.storageUploadErrors.inc({ provider: driver.name });
+    throw new HttpError(502, 'Could not write the file to storage', {}, { cause: err });
+  }
+  metrics.storageUploads.inc({ provider: driver.name });
+  metrics.storageUploadBytes.inc({ provider: driver.name }, inspector.size);
+
+  return {
+    driver,
+    key: stored.key,
+    location: stored.location,
+    size_bytes: inspector.size,
+    checksum: inspector.hash.digest('hex'),
+    mimetype: mime,
+    type,
+  };
+}
+
+/**
+ * Records a file already written by `storeFile` either as a new document or as the next
+ * version of an existing one (`documentId`, or the project's document with the same
+ * filename, unless `matchFilename` is false). Files whose checksum already exists in the
+ * project are handled per DUPLICATE_POLICY; with `existing` the result is
+ * `{ duplicate: true, document }`. `sourceUrl` records where a scraped file came from;
+ * `metadata` (from `parseMetadata`) is set on the document whether it is new or versioned.
+ * The project's quota is checked under its lock before anything is recorded (507 when the
+ * file doesn't fit); `quota` in the result is the project's quota status afterwards, if it has limits.
+ * The stored object is removed again if it is a duplicate or the database write fails.
+ */
+async function recordFile(pool, {
+  projectId,
+  documentId = null,
+  stored,
+  originalName,
+  source = 'Upload',
+  sourceUrl = null,
+  uploadedBy = null,
+  duplicatePolicy = DUPLICATE_POLICY,
+  matchFilename = VERSION_BY_FILENAME,
+  metadata = {},
+}) {
+  const { driver } = stored;
+  const discard = () => driver.delete(stored.key).catch(() => {});
+
+  if (duplicatePolicy !== 'allow') {
+    let duplicate;
+    try {
+      duplicate = await findDuplicate(pool, projectId, stored.checksum);
+    } catch (err) {
+      await discard();
+      throw err;
+    }
+    if (duplicate) {
+      await discard();
+      if (duplicatePolicy === 'reject') {
+        throw new HttpError(409, 'An identical file already exists in this project', { document_id: duplicate.id });
+      }
+      return { duplicate: true, created: false, document: duplicate };
+    }
+  }
+
+  const file = {
+    filename: originalName,
+    file_path: stored.location,
+    storage_provider: driver.name,
+    storage_key: stored.key,
+    size_bytes: stored.size_bytes,
+    checksum: stored.checksum,
+    mimetype: stored.mimetype,
+    uploaded_by: uploadedBy,
+  };
+
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    const existing = await findTarget(client, { projectId, documentId, originalName, matchFilename });
+    const quota = await reserveQuota(client, projectId, { bytes: file.size_bytes, newDocument: !existing });
+    if (existing) {
+      result = { ...(await addVersion(client, existing, file)), created: false };
+    } else {
+      const { rows } = await client.query(
+        `INSERT INTO documents (id, project_id, filename, file_path, storage_provider, storage_key, source, source_url, status,
+           document_content, current_version, checksum, mimetype, size_bytes)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'pending',NULL,1,$9,$10,$11) RETURNING *`,
+        [uuidv4(), projectId, originalName, file.file_path, file.storage_provider, file.storage_key, source, sourceUrl,
+          file.checksum, file.mimetype, file.size_bytes]
+      );
+      const { rows: versions } = await client.query(
+        `INSERT INTO document_versions (id, document_id, version, filename, file_path, storage_provider, storage_key, size_bytes, checksum, mimetype, uploaded_by)
+         VALUES ($1,$2,1,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *`,
+        [uuidv4(), rows[0].id, file.filename, file.file_path, file.storage_provider, file.storage_key, file.size_bytes,
+          file.checksum, file.mimetype, file.uploaded_by]
+      );
+      await recordEvent(client, {
+        documentId: rows[0].id,
+        projectId,
+        type: 'created',
+        actor: uploadedBy,
+        toStatus: 'pending',
+        details: { version: 1, filename: originalName, source },
+      });
+      result = { document: rows[0], version: versions[0], created: true };
+    }
+    if (Object.keys(metadata).length) result.document = await applyMetadata(client, result.document.id, metadata);
+    result.quota = quota;
+    await client.query('COMMIT');
+    // The row owns the object now; request cleanup must leave it alone
+    stored.recorded = true;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    await discard();
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const url = await driver.signedUrl(stored.key, 60 * 60);
+  return { ...result, duplicate: false, key: stored.key, url };
+}
+
+// storeFile + recordFile for callers that have the whole file at hand
+async function ingestFile(pool, { body, originalName, ...options }) {
+  const stored = await storeFile(body, { originalName, quota: await quotaStatus(pool, options.projectId) });
+  return recordFile(pool, { ...options, stored, originalName });
+}
+
+module.exports = { storeFile, recordFile, ingestFile, addVersion, sha256, UPLOAD_MAX_BYTES, ALLOWED_TYPES };
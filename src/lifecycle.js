@@ -0,0 +1,85 @@
+const { HttpError } = require('./errors');
+const deliveries = require('./deliveries');
+
+// Document statuses and the moves allowed between them. The extraction worker drives
+// pending -> processing -> processed/failed; analysis and archiving happen through
+// POST /documents/:document_id/transition. Going back to `pending` queues a re-extraction.
+const TRANSITIONS = {
+  pending: ['processing', 'failed', 'archived'],
+  processing: ['processed', 'failed', 'pending', 'archived'],
+  processed: ['analysed', 'failed', 'pending', 'archived'],
+  analysed: ['pending', 'archived'],
+  failed: ['pending', 'archived'],
+  archived: ['pending'],
+};
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Spellings found in older rows
+const ALIASES = { analyzed: 'analysed' };
+
+// What document_events.type can hold
+// (`deleted` moves a document to the trash, `purged` removes it for good)
+const EVENT_TYPES = ['created', 'version_added', 'status_changed', 'updated', 'deleted', 'restored', 'purged'];
+
+// The canonical status for `status`, or null if it isn't part of the lifecycle
+function normalizeStatus(status) {
+  if (status === null || status === undefined) return null;
+  const value = String(status).trim().toLowerCase();
+  const canonical = ALIASES[value] || value;
+  return TRANSITIONS[canonical] ? canonical : null;
+}
+
+// Rows written before the lifecycle existed can hold any string; those may move to any status
+function allowedTransitions(from) {
+  const current = normalizeStatus(from);
+  return current ? TRANSITIONS[current] : STATUSES;
+}
+
+/**
+ * Checks that a document in status `from` may move to `to` and returns the canonical
+ * target status. Throws 400 for an unknown status and 409 for a move the lifecycle
+ * doesn't allow.
+ */
+function assertTransition(from, to) {
+  const target = normalizeStatus(to);
+  if (!target) throw new HttpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+  const allowed = allowedTransitions(from);
+  if (!allowed.includes(target)) {
+    throw new HttpError(409, `A document cannot move from ${from} to ${target}`, { status: from, allowed });
+  }
+  return target;
+}
+
+/**
+ * Moves a locked document to `status` (as returned by assertTransition) and resolves to the
+ * updated row. Every manual move goes through here: `processing` starts the clock the
+ * worker's stale-claim check and the stalled statistic read, and going back to `pending`
+ * clears the error of the previous attempt.
+ */
+async function applyStatus(client, id, status) {
+  const { rows } = await client.query(
+    `UPDATE documents SET status = $2,
+       processing_error = CASE WHEN $2 = 'pending' THEN NULL ELSE processing_error END,
+       processing_started_at = CASE WHEN $2 = 'processing' THEN now() ELSE processing_started_at END
+     WHERE id = $1 RETURNING *`,
+    [id, status]
+  );
+  return rows[0];
+}
+
+/**
+ * Appends an entry to a document's history and queues the webhooks it triggers. `db` is
+ * a pool or a client inside the transaction that made the change; `actor` is the user
+ * id, or null for the service itself.
+ */
+async function recordEvent(db, { documentId, projectId = null, type, actor = null, fromStatus = null, toStatus = null, details = null }) {
+  const { rows } = await db.query(
+    `INSERT INTO document_events (document_id, project_id, type, actor, from_status, to_status, details)
+     VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+    [documentId, projectId, type, actor, fromStatus, toStatus, details ? JSON.stringify(details) : null]
+  );
+  await deliveries.enqueue(db, rows[0]);
+  return rows[0];
+}
+
+module.exports = { STATUSES, TRANSITIONS, EVENT_TYPES, normalizeStatus, allowedTransitions, assertTransition, applyStatus, recordEvent };
@@ -0,0 +1,138 @@
+const { HttpError } = require('./errors');
+const { listParam, dateParam } = require('./params');
+const { parseDate } = require('./metadata');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Sort keys a client may ask for. Every ordering ends with `id` so rows with equal keys
+// keep a stable order, which keyset pagination depends on; NULLs are folded into the
+// lowest value for the same reason.
+const SORTS = {
+  filename: { expr: `COALESCE(filename, '')`, type: 'text' },
+  created_at: { expr: `COALESCE(created_at, '-infinity'::timestamptz)`, type: 'timestamptz' },
+  status: { expr: `lower(COALESCE(status, ''))`, type: 'text' },
+  deleted_at: { expr: `COALESCE(deleted_at, '-infinity'::timestamptz)`, type: 'timestamptz' },
+};
+
+// Everything except the extracted text, which can be megabytes per row
+const SUMMARY_COLUMNS = `id, project_id, filename, file_path, storage_provider, storage_key, source, source_url, status, processing_error, created_at,
+  current_version, checksum, mimetype, size_bytes, category, owner, jurisdiction, effective_date, expiry_date, tags,
+  (document_content IS NOT NULL AND document_content <> '') AS has_content`;
+
+// Cursors remember the ordering they were issued for, so one can't be replayed against another
+function encodeCursor(sort, order, key, id) {
+  return Buffer.from(JSON.stringify([sort, order, key, id])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    decoded = null;
+  }
+  if (!Array.isArray(decoded) || typeof decoded[2] !== 'string' || decoded[3] == null) {
+    throw new HttpError(400, 'cursor is invalid');
+  }
+  const [cursorSort, cursorOrder, key, id] = decoded;
+  if (cursorSort !== sort || cursorOrder !== order) throw new HttpError(400, 'cursor belongs to a different sort order');
+  return { key, id };
+}
+
+/**
+ * Turns the shared filter query parameters (`source`, `status`, `mimetype`,
+ * `created_after`, `created_before`, the policy metadata `category`, `owner`,
+ * `jurisdiction`, `tags`, `expires_before` and `expires_after`) into SQL conditions. Values are appended to `params`
+ * and the returned conditions each start with `AND`, ready to follow `WHERE project_id = $1`.
+ */
+function buildFilters(query, params) {
+  const filters = [];
+  const add = (condition, value) => {
+    params.push(value);
+    filters.push(`AND ${condition.replace('?', `$${params.length}`)}`);
+  };
+
+  const sources = listParam(query.source);
+  if (sources.length) add('lower(source) = ANY(?)', sources);
+  const statuses = listParam(query.status);
+  if (statuses.length) add('lower(status) = ANY(?)', statuses);
+  const mimetypes = listParam(query.mimetype);
+  if (mimetypes.length) add('lower(mimetype) = ANY(?)', mimetypes);
+
+  const after = dateParam('created_after', query.created_after);
+  if (after) add('created_at >= ?', after);
+  const before = dateParam('created_before', query.created_before);
+  if (before) add('created_at < ?', before);
+
+  for (const field of ['category', 'owner', 'jurisdiction']) {
+    const values = listParam(query[field]);
+    if (values.length) add(`lower(${field}) = ANY(?)`, values);
+  }
+  // Every listed tag must be present
+  const tags = listParam(query.tags);
+  if (tags.length) add('tags @> ?::text[]', tags);
+  const expiresAfter = query.expires_after === undefined ? null : parseDate('expires_after', query.expires_after);
+  if (expiresAfter) add('expiry_date >= ?::date', expiresAfter);
+  const expiresBefore = query.expires_before === undefined ? null : parseDate('expires_before', query.expires_before);
+  if (expiresBefore) add('expiry_date < ?::date', expiresBefore);
+  return filters;
+}
+
+/**
+ * One page of a project's documents. `query` holds the request's query string: the
+ * filters understood by `buildFilters` plus `sort` (filename, created_at, status),
+ * `order` (asc, desc), `limit` and the opaque `cursor` from the previous page.
+ * `options.where` adds fixed conditions (used by the legacy list routes) and
+ * `options.columns` overrides the selected columns. Trashed documents are left out, or
+ * listed instead of the others with `options.trashed`.
+ * Resolves to `{ documents, next_cursor, limit, sort, order }`; `next_cursor` is null
+ * on the last page.
+ */
+async function listDocuments(pool, projectId, query, { where = [], columns = SUMMARY_COLUMNS, sort: defaultSort = 'filename', trashed = false } = {}) {
+  const sort = String(query.sort || defaultSort).toLowerCase();
+  if (!SORTS[sort]) throw new HttpError(400, `sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  const order = String(query.order || 'asc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') throw new HttpError(400, 'order must be asc or desc');
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const params = [projectId];
+  const filters = [...where.map((condition) => `AND ${condition}`), ...buildFilters(query, params)];
+
+  const { expr, type } = SORTS[sort];
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sort, order);
+    params.push(cursor.key, cursor.id);
+    const op = order === 'asc' ? '>' : '<';
+    filters.push(`AND (${expr}, id) ${op} ($${params.length - 1}::${type}, $${params.length})`);
+  }
+  params.push(limit + 1);
+
+  // The sort key comes back as text so the cursor keeps full timestamp precision
+  const q = `SELECT ${columns}, (${expr})::text AS sort_key FROM documents
+    WHERE project_id = $1 AND deleted_at IS ${trashed ? 'NOT ' : ''}NULL ${filters.join(' ')}
+    ORDER BY ${expr} ${order}, id ${order}
+    LIMIT $${params.length}`;
+  let rows;
+  try {
+    ({ rows } = await pool.query(q, params));
+  } catch (err) {
+    // A cursor holding a malformed id or date only surfaces once Postgres parses it
+    if (query.cursor && ['22P02', '22007', '22008'].includes(err.code)) throw new HttpError(400, 'cursor is invalid');
+    throw err;
+  }
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const documents = page.map(({ sort_key, ...doc }) => doc);
+  return {
+    documents,
+    next_cursor: hasMore ? encodeCursor(sort, order, last.sort_key, last.id) : null,
+    limit,
+    sort,
+    order,
+  };
+}
+
+module.exports = { listDocuments, buildFilters, SUMMARY_COLUMNS, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,70 @@
+require('dotenv').config();
+const crypto = require('crypto');
+
+// One JSON object per line on stdout (stderr for warnings and errors), so log collectors
+// can index the fields. LOG_LEVEL is debug, info (default), warn, error or silent.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const threshold = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+// Client supplied request ids are kept when they look like an id, anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const out = { name: err.name, message: err.message, stack: err.stack };
+  if (err.code !== undefined) out.code = err.code;
+  if (err.status !== undefined) out.status = err.status;
+  if (err.cause) out.cause = serializeError(err.cause);
+  return out;
+}
+
+function write(level, bindings, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...bindings };
+  for (const [key, value] of Object.entries(fields)) entry[key] = value instanceof Error ? serializeError(value) : value;
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * A logger whose entries all carry `bindings`; `child` adds more. Errors passed as field
+ * values are written with their message, code and stack.
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+}
+
+const logger = createLogger();
+
+// Gives every request an id (X-Request-Id from the client or a new UUID), echoes it in the
+// response and logs one line per request when the response is done. `req.log` carries the id.
+function requestLogger({ quiet = [] } = {}) {
+  return (req, res, next) => {
+    const given = req.get('X-Request-Id');
+    req.id = given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+    req.log = logger.child({ request_id: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const fields = {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+        user_id: req.user ? req.user.id : undefined,
+      };
+      // Probes and scrapes would drown out everything else at info
+      const level = res.statusCode >= 500 ? 'warn' : quiet.includes(req.path) ? 'debug' : 'info';
+      req.log[level]('request', fields);
+    });
+    next();
+  };
+}
+
+module.exports = { logger, createLogger, requestLogger, serializeError };
@@ -0,0 +1,80 @@
+const { HttpError } = require('./errors');
+
+// Policy metadata a document can carry besides its file. All of it is optional.
+const TEXT_FIELDS = ['category', 'owner', 'jurisdiction'];
+const DATE_FIELDS = ['effective_date', 'expiry_date'];
+const METADATA_FIELDS = [...TEXT_FIELDS, ...DATE_FIELDS, 'tags'];
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 64;
+
+function parseText(name, value) {
+  if (value === null) return null;
+  if (typeof value !== 'string') throw new HttpError(400, `${name} must be a string`);
+  const text = value.trim();
+  if (text.length > MAX_TEXT_LENGTH) throw new HttpError(400, `${name} must be at most ${MAX_TEXT_LENGTH} characters`);
+  return text || null;
+}
+
+// Calendar dates only (YYYY-MM-DD); policies take effect and expire on days, not instants
+function parseDate(name, value) {
+  if (value === null || value === '') return null;
+  const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  if (!date || date.toISOString().slice(0, 10) !== value.trim()) throw new HttpError(400, `${name} must be a date (YYYY-MM-DD)`);
+  return value.trim();
+}
+
+/**
+ * Tags from a JSON array or a comma-separated string (multipart forms), trimmed,
+ * lowercased and without duplicates.
+ */
+function parseTags(name, value) {
+  if (value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  if (list.some((t) => typeof t !== 'string')) throw new HttpError(400, `${name} must be strings`);
+  const tags = [...new Set(list.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+  if (tags.some((t) => t.length > MAX_TAG_LENGTH)) throw new HttpError(400, `Tags must be at most ${MAX_TAG_LENGTH} characters`);
+  if (tags.length > MAX_TAGS) throw new HttpError(400, `A document can have at most ${MAX_TAGS} tags`);
+  return tags;
+}
+
+/**
+ * How far ahead the expiring report looks: `30d`, `6w`, `3m` (30-day months) or a plain
+ * number of days.
+ */
+function parseWithin(value, fallback = '30d') {
+  const match = /^(\d{1,4})\s*([dwm]?)$/i.exec(String(value === undefined || value === '' ? fallback : value).trim());
+  if (!match) throw new HttpError(400, 'within must be a number of days, weeks or months, e.g. 30d, 6w or 3m');
+  return Number(match[1]) * { '': 1, d: 1, w: 7, m: 30 }[match[2].toLowerCase()];
+}
+
+function checkDates({ effective_date: effective, expiry_date: expiry }) {
+  if (effective && expiry && expiry < effective) throw new HttpError(400, 'expiry_date must not be before effective_date');
+}
+
+/**
+ * Validates the metadata fields present in `input` (a JSON body or multipart fields) and
+ * returns them normalised. Absent fields are left out; empty ones become null (or no tags).
+ */
+function parseMetadata(input = {}) {
+  const metadata = {};
+  for (const field of TEXT_FIELDS) if (input[field] !== undefined) metadata[field] = parseText(field, input[field]);
+  for (const field of DATE_FIELDS) if (input[field] !== undefined) metadata[field] = parseDate(field, input[field]);
+  if (input.tags !== undefined) metadata.tags = parseTags('tags', input.tags);
+  checkDates(metadata);
+  return metadata;
+}
+
+// Writes parsed metadata onto a documents row and returns the updated row
+async function applyMetadata(db, documentId, metadata) {
+  const fields = Object.keys(metadata);
+  const { rows } = await db.query(
+    `UPDATE documents SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(', ')} WHERE id = $1 RETURNING *`,
+    [documentId, ...fields.map((f) => metadata[f])]
+  );
+  return rows[0];
+}
+
+module.exports = { METADATA_FIELDS, parseMetadata, parseDate, parseTags, parseWithin, checkDates, applyMetadata };
@@ -0,0 +1,119 @@
+require('dotenv').config();
+const client = require('prom-client');
+
+// Prometheus metrics for this process, served at GET /metrics. Node's own process metrics
+// (memory, event loop lag, GC) are included.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time from receiving a request to finishing its response',
+  labelNames: ['method', 'route'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const apiErrors = new client.Counter({
+  name: 'api_errors_total',
+  help: 'Error responses by status and error code',
+  labelNames: ['status', 'code'],
+  registers: [register],
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Postgres query latency by statement type',
+  labelNames: ['operation'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 5],
+  registers: [register],
+});
+
+const dbQueryErrors = new client.Counter({
+  name: 'db_query_errors_total',
+  help: 'Postgres queries that failed, by statement type',
+  labelNames: ['operation'],
+  registers: [register],
+});
+
+const storageUploads = new client.Counter({
+  name: 'storage_uploads_total',
+  help: 'Files written to storage, by provider',
+  labelNames: ['provider'],
+  registers: [register],
+});
+
+const storageUploadBytes = new client.Counter({
+  name: 'storage_upload_bytes_total',
+  help: 'Bytes written to storage, by provider',
+  labelNames: ['provider'],
+  registers: [register],
+});
+
+const storageUploadErrors = new client.Counter({
+  name: 'storage_upload_errors_total',
+  help: 'Writes to storage that failed, by provider',
+  labelNames: ['provider'],
+  registers: [register],
+});
+
+const storageFallbacks = new client.Counter({
+  name: 'storage_fallbacks_total',
+  help: 'Uploads written to a fallback provider because the preferred one was unavailable',
+  labelNames: ['from', 'to'],
+  registers: [register],
+});
+
+// Statement types get their own label; anything else (CTEs, DDL) is `other`
+const OPERATIONS = new Set(['select', 'insert', 'update', 'delete', 'begin', 'commit', 'rollback']);
+
+function operationOf(query) {
+  const text = typeof query === 'string' ? query : query && query.text;
+  const match = /^\s*(\w+)/.exec(text || '');
+  const operation = match && match[1].toLowerCase();
+  return OPERATIONS.has(operation) ? operation : 'other';
+}
+
+// Starts timing a query; call the returned function with the error, if any, once it is done
+function timeQuery(query) {
+  const operation = operationOf(query);
+  const end = dbQueryDuration.startTimer({ operation });
+  return (err) => {
+    end();
+    if (err) dbQueryErrors.inc({ operation });
+  };
+}
+
+/**
+ * Counts and times every request. Routes are labelled by their pattern
+ * (`/documents/:document_id`), requests no route matched as `unmatched`.
+ */
+function httpMetrics() {
+  return (req, res, next) => {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + String(req.route.path) : 'unmatched';
+      end({ method: req.method, route });
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  register,
+  httpMetrics,
+  timeQuery,
+  apiErrors,
+  storageUploads,
+  storageUploadBytes,
+  storageUploadErrors,
+  storageFallbacks,
+};
@@ -0,0 +1,102 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Arbitrary key for pg_advisory_lock, so two instances starting together don't both migrate
+const LOCK_KEY = 4021789;
+
+// Migration files are `<version>_<name>.sql` and run in version order
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map((file) => /^(\d+)_(.+)\.sql$/.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, file: path.join(MIGRATIONS_DIR, file) }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function appliedVersions(db) {
+  try {
+    const { rows } = await db.query(`SELECT version FROM schema_migrations`);
+    return new Set(rows.map((r) => r.version));
+  } catch (err) {
+    // 42P01: nothing has been migrated yet
+    if (err.code === '42P01') return new Set();
+    throw err;
+  }
+}
+
+/**
+ * Applies every migration not yet recorded in schema_migrations, each in its own
+ * transaction, and returns the ones that ran. Safe to call from several processes at once.
+ */
+async function migrate(pool, { log = console.log } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+    await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version text PRIMARY KEY,
+      name text NOT NULL,
+      applied_at timestamptz NOT NULL DEFAULT now()
+    )`);
+    const applied = await appliedVersions(client);
+    const ran = [];
+
+    for (const migration of listMigrations()) {
+      if (applied.has(migration.version)) continue;
+      try {
+        await client.query('BEGIN');
+        await client.query(fs.readFileSync(migration.file, 'utf8'));
+        await client.query(`INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`, [migration.version, migration.name]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Migration ${migration.version}_${migration.name} failed: ${err.message}`;
+        throw err;
+      }
+      log(`Applied migration ${migration.version}_${migration.name}`);
+      ran.push(migration);
+    }
+    return ran;
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * The newest applied migration and the newest one on disk, as reported by /health.
+ * `pending` counts migrations that have not been applied.
+ */
+async function migrationStatus(pool) {
+  const applied = await appliedVersions(pool);
+  const migrations = listMigrations();
+  const done = migrations.filter((m) => applied.has(m.version));
+  return {
+    current: done.length ? done[done.length - 1].version : null,
+    latest: migrations.length ? migrations[migrations.length - 1].version : null,
+    pending: migrations.length - done.length,
+  };
+}
+
+module.exports = { listMigrations, migrate, migrationStatus };
+
+// `npm run migrate` brings the database schema up to date
+if (require.main === module) {
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL not configured');
+    process.exit(1);
+  }
+  const pool = createPool();
+  migrate(pool)
+    .then((ran) => {
+      console.log(ran.length ? `Applied ${ran.length} migration(s)` : 'Database schema is up to date');
+      return pool.end();
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
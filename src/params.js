@@ -0,0 +1,18 @@
+const { HttpError } = require('./errors');
+
+// Helpers for reading query-string parameters shared by the listing and stats routes
+
+// Accepts `?source=Upload,Scrape` or repeated `?source=Upload&source=Scrape`; values are lowercased
+function listParam(value) {
+  if (value === undefined) return [];
+  return [].concat(value).join(',').split(',').map((v) => v.trim().toLowerCase()).filter(Boolean);
+}
+
+function dateParam(name, value) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) throw new HttpError(400, `${name} must be an ISO 8601 date`);
+  return date;
+}
+
+module.exports = { listParam, dateParam };
@@ -0,0 +1,124 @@
+const express = require('express');
+const auth = require('./auth');
+const { HttpError } = require('./errors');
+const { quotaStatus } = require('./usage');
+
+// `null` falls back to PROJECT_MAX_DOCUMENTS / PROJECT_MAX_BYTES, 0 means unlimited
+function quotaValue(name, value) {
+  if (value === null) return null;
+  if (!Number.isSafeInteger(value) || value < 0) throw new HttpError(400, `${name} must be a non-negative integer or null`);
+  return value;
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const projectAccess = auth.requireProjectAccess(pool, auth.projectFromParams);
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/quota:
+   *   get:
+   *     summary: A project's document and storage usage against its quota
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Usage and limits; `max_*` and `remaining_*` are null when there is no limit
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 documents:
+   *                   type: integer
+   *                 bytes:
+   *                   type: number
+   *                 max_documents:
+   *                   type: integer
+   *                   nullable: true
+   *                 max_bytes:
+   *                   type: integer
+   *                   nullable: true
+   *                 remaining_documents:
+   *                   type: integer
+   *                   nullable: true
+   *                 remaining_bytes:
+   *                   type: integer
+   *                   nullable: true
+   */
+  router.get('/documents/project/:project_id/quota', projectAccess, async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+      return res.json(await quotaStatus(pool, req.params.project_id));
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/quota:
+   *   put:
+   *     summary: Override a project's quota (admins only)
+   *     description: |
+   *       Each limit set to `null` goes back to the service default (PROJECT_MAX_DOCUMENTS,
+   *       PROJECT_MAX_BYTES); `0` removes the limit for this project. Lowering a limit below the
+   *       current usage blocks further uploads but removes nothing.
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               max_documents:
+   *                 type: integer
+   *                 nullable: true
+   *               max_bytes:
+   *                 type: integer
+   *                 nullable: true
+   *     responses:
+   *       200:
+   *         description: The project's usage and new limits
+   *       400:
+   *         description: Invalid limit
+   *       403:
+   *         description: Not an admin
+   */
+  router.put('/documents/project/:project_id/quota', auth.requireAdmin(), async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+      const body = req.body || {};
+      if (body.max_documents === undefined && body.max_bytes === undefined) {
+        return res.status(400).json({ error: 'Provide max_documents and/or max_bytes' });
+      }
+      const projectId = req.params.project_id;
+      const { rows: current } = await pool.query(`SELECT max_documents, max_bytes FROM project_quotas WHERE project_id = $1`, [projectId]);
+      const quota = { max_documents: null, max_bytes: null, ...current[0] };
+      if (body.max_documents !== undefined) quota.max_documents = quotaValue('max_documents', body.max_documents);
+      if (body.max_bytes !== undefined) quota.max_bytes = quotaValue('max_bytes', body.max_bytes);
+
+      await pool.query(
+        `INSERT INTO project_quotas (project_id, max_documents, max_bytes, updated_by) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (project_id) DO UPDATE SET max_documents = EXCLUDED.max_documents, max_bytes = EXCLUDED.max_bytes,
+           updated_by = EXCLUDED.updated_by, updated_at = now()`,
+        [projectId, quota.max_documents, quota.max_bytes, req.user ? req.user.id : null]
+      );
+      return res.json(await quotaStatus(pool, projectId));
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  return router;
+};
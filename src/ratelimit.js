@@ -0,0 +1,122 @@
+require('dotenv').config();
+const { logger } = require('./logger');
+
+// Fixed-window request counters. RATE_LIMIT_STORE picks where they live: `memory` (the
+// default, per process) or `postgres`, shared by every instance using the database.
+// Stores expose:
+//   hit(key, windowMs) -> { count, resetAt }   counts one request in the key's current window
+//   prune()                                    forgets windows that have ended
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000;
+// Requests per window; 0 turns a limit off
+const RATE_LIMIT_IP_MAX = intOr(process.env.RATE_LIMIT_IP_MAX, 600);
+const RATE_LIMIT_USER_MAX = intOr(process.env.RATE_LIMIT_USER_MAX, 300);
+
+function intOr(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+function memoryStore() {
+  const windows = new Map();
+  return {
+    name: 'memory',
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    async prune() {
+      const now = Date.now();
+      for (const [key, entry] of windows) if (entry.resetAt <= now) windows.delete(key);
+    },
+  };
+}
+
+function postgresStore(pool) {
+  return {
+    name: 'postgres',
+    async hit(key, windowMs) {
+      const { rows } = await pool.query(
+        `INSERT INTO rate_limit_counters (key, count, reset_at) VALUES ($1, 1, now() + $2 * interval '1 millisecond')
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limit_counters.reset_at <= now() THEN 1 ELSE rate_limit_counters.count + 1 END,
+           reset_at = CASE WHEN rate_limit_counters.reset_at <= now() THEN EXCLUDED.reset_at ELSE rate_limit_counters.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowMs]
+      );
+      return { count: rows[0].count, resetAt: rows[0].reset_at };
+    },
+    async prune() {
+      await pool.query(`DELETE FROM rate_limit_counters WHERE reset_at <= now()`);
+    },
+  };
+}
+
+function createStore(pool) {
+  const configured = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  if (configured === 'memory') return memoryStore();
+  if (configured === 'postgres') {
+    if (!pool) throw new Error('RATE_LIMIT_STORE=postgres needs DATABASE_URL');
+    return postgresStore(pool);
+  }
+  throw new Error(`Unknown RATE_LIMIT_STORE "${configured}". Use memory or postgres`);
+}
+
+/**
+ * Answers 429 once a client has made more than `max` requests in the current window.
+ * `key(req)` names the client (an IP, a user id); requests without one, and paths
+ * starting with one of `exclude`, are not counted. Every counted response carries
+ * `RateLimit-Limit`, `RateLimit-Remaining` and `RateLimit-Reset` (seconds) for whichever
+ * limit is closest to running out. If the store fails the request is let through.
+ */
+function rateLimit({ store, name, max, windowMs = RATE_LIMIT_WINDOW_MS, key, exclude = [] }) {
+  let nextPrune = Date.now() + windowMs;
+  return async (req, res, next) => {
+    if (!max) return next();
+    if (exclude.some((prefix) => req.path === prefix || req.path.startsWith(`${prefix}/`))) return next();
+    const client = key(req);
+    if (!client) return next();
+
+    let count;
+    let resetAt;
+    try {
+      ({ count, resetAt } = await store.hit(`${name}:${client}`, windowMs));
+      if (Date.now() >= nextPrune) {
+        nextPrune = Date.now() + windowMs;
+        store.prune().catch((err) => logger.warn('Rate limit prune failed', { err }));
+      }
+    } catch (err) {
+      logger.warn('Rate limit store failed', { err });
+      return next();
+    }
+
+    const remaining = Math.max(max - count, 0);
+    const reset = Math.max(Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000), 0);
+    if (!req.rateLimit || remaining < req.rateLimit.remaining) {
+      req.rateLimit = { limit: max, remaining, reset };
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(reset));
+    }
+    if (count > max) {
+      res.set('Retry-After', String(reset));
+      return res.status(429).json({ error: 'Too many requests', retry_after: reset });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_WINDOW_MS,
+  RATE_LIMIT_IP_MAX,
+  RATE_LIMIT_USER_MAX,
+  memoryStore,
+  postgresStore,
+  createStore,
+  rateLimit,
+};
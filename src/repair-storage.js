@@ -0,0 +1,106 @@
+require('dotenv').config();
+const { createPool } = require('./db');
+const storage = require('./storage');
+
+const BATCH_SIZE = 100;
+
+const TABLES = {
+  documents: `id, id AS document_id, NULL::integer AS version, filename, file_path, storage_provider, storage_key`,
+  document_versions: `id, document_id, version, filename, file_path, storage_provider, storage_key`,
+};
+
+// Drivers an unrecorded object may be in: the pinned one, or under `auto` every cloud
+// driver that is configured, in the order uploads would have picked them
+function candidateDrivers() {
+  if (storage.configured !== 'auto') return [storage.drivers[storage.configured]];
+  return [storage.drivers.firebase, storage.drivers.supabase].filter((d) => d.available());
+}
+
+async function findObject(row) {
+  const { driver, key } = storage.locateLegacy(row);
+  // A Supabase public URL names its driver; anything else has to be looked for
+  const drivers = driver === storage.drivers.supabase ? [driver] : candidateDrivers();
+  for (const candidate of drivers) {
+    if (await candidate.exists(key)) return { driver: candidate, key };
+  }
+  return { driver: null, key };
+}
+
+/**
+ * Fills in storage_provider/storage_key for rows of `documents` and `document_versions`
+ * written before those columns existed, by looking for each object in the configured
+ * buckets, and checks that every row that has them points at an object that exists.
+ * Rows whose object can't be found are reported through `log` and left unchanged. With
+ * `dryRun` nothing is written. Returns counts per outcome.
+ */
+async function repairStorage(pool, { dryRun = false, log = console.log } = {}) {
+  const totals = { ok: 0, backfilled: 0, missing: 0, failed: 0 };
+
+  for (const [table, columns] of Object.entries(TABLES)) {
+    let lastId = null;
+    for (;;) {
+      const { rows } = await pool.query(
+        `SELECT ${columns} FROM ${table} WHERE ($1::uuid IS NULL OR id > $1) ORDER BY id LIMIT $2`,
+        [lastId, BATCH_SIZE]
+      );
+      if (!rows.length) break;
+
+      for (const row of rows) {
+        lastId = row.id;
+        const label = `${table} ${row.id}${row.version ? ` (document ${row.document_id} v${row.version})` : ''}`;
+        try {
+          if (row.storage_provider) {
+            const { driver, key } = storage.locate(row);
+            if (await driver.exists(key)) {
+              totals.ok += 1;
+            } else {
+              totals.missing += 1;
+              log(`Missing: ${label} ${driver.name}:${key}`);
+            }
+            continue;
+          }
+
+          const found = await findObject(row);
+          if (!found.driver) {
+            totals.missing += 1;
+            log(`Missing: ${label} ${found.key} is in none of: ${candidateDrivers().map((d) => d.name).join(', ')}`);
+            continue;
+          }
+          if (!dryRun) {
+            await pool.query(
+              `UPDATE ${table} SET storage_provider = $2, storage_key = $3 WHERE id = $1 AND storage_provider IS NULL`,
+              [row.id, found.driver.name, found.key]
+            );
+          }
+          totals.backfilled += 1;
+        } catch (err) {
+          totals.failed += 1;
+          log(`Could not check ${label} (${row.filename}): ${err.message}`);
+        }
+      }
+    }
+  }
+
+  return totals;
+}
+
+module.exports = { repairStorage };
+
+// `npm run repair-storage [-- --dry-run]`; exits with 1 when objects are missing
+if (require.main === module) {
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL not configured');
+    process.exit(1);
+  }
+  const dryRun = process.argv.includes('--dry-run');
+  const pool = createPool();
+  repairStorage(pool, { dryRun })
+    .then((totals) => {
+      console.log(`${dryRun ? 'Would backfill' : 'Backfilled'}: ${totals.backfilled}, ok: ${totals.ok}, missing: ${totals.missing}, failed: ${totals.failed}`);
+      return pool.end().then(() => process.exit(totals.missing || totals.failed ? 1 : 0));
+    })
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
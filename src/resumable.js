@@ -0,0 +1,407 @@
+const fs = require('fs');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const auth = require('./auth');
+const { HttpError } = require('./errors');
+const { storeFile, recordFile, UPLOAD_MAX_BYTES } = require('./ingest');
+const { parseMetadata } = require('./metadata');
+const { quotaStatus, setQuotaHeaders } = require('./usage');
+const sessions = require('./sessions');
+
+const SESSION_COLUMNS = `id, project_id, target_document_id, filename, size_bytes::float8 AS size_bytes, checksum,
+  received_bytes::float8 AS received_bytes, status, document_id, created_by, created_at, updated_at, expires_at`;
+const CHUNK_TYPES = ['application/offset+octet-stream', 'application/octet-stream'];
+
+function presentSession(row) {
+  return {
+    upload_id: row.id,
+    project_id: row.project_id,
+    filename: row.filename,
+    size: row.size_bytes,
+    offset: row.received_bytes,
+    checksum: row.checksum,
+    status: row.status,
+    document_id: row.document_id,
+    expires_at: row.expires_at,
+  };
+}
+
+function parseChecksum(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || !/^[a-f0-9]{64}$/i.test(value.trim())) {
+    throw new HttpError(400, 'checksum must be a SHA-256 hex digest');
+  }
+  return value.trim().toLowerCase();
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const projectAccess = auth.requireProjectAccess(pool, auth.projectFromBody);
+  const sessionAccess = auth.requireProjectAccess(pool, async (req) => {
+    const { rows } = await pool.query(`SELECT project_id FROM upload_sessions WHERE id::text = $1`, [req.params.upload_id]);
+    return rows.length ? rows[0].project_id : undefined;
+  });
+
+  // Runs `handler(session)` while holding the session's lease (see sessions.claimSession),
+  // which is given up when the handler settles. No transaction or pooled client is held in
+  // the meantime, so slow clients can't starve other routes of connections. Resolves to the
+  // handler's result, or to null once the error has been passed on to `next`.
+  async function withSession(req, res, next, handler) {
+    let session = null;
+    try {
+      if (!pool) throw new HttpError(500, 'DATABASE_URL not configured');
+      session = await sessions.claimSession(pool, req.params.upload_id);
+      return await handler(session);
+    } catch (err) {
+      next(err);
+      return null;
+    } finally {
+      if (session) await sessions.releaseSession(pool, session).catch(() => {});
+    }
+  }
+
+  /**
+   * @openapi
+   * /uploads:
+   *   post:
+   *     summary: Start a resumable upload
+   *     description: |
+   *       For large files over unreliable connections. Send the bytes in order with
+   *       `PATCH /uploads/{upload_id}`, each chunk at the current `offset`, then call
+   *       `POST /uploads/{upload_id}/complete`. After an interruption, `GET /uploads/{upload_id}`
+   *       returns the offset to continue from. Sessions expire UPLOAD_SESSION_TTL_MS (default 24h)
+   *       after their last chunk.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - project_id
+   *               - filename
+   *               - size
+   *             properties:
+   *               project_id:
+   *                 type: string
+   *               filename:
+   *                 type: string
+   *               size:
+   *                 type: integer
+   *                 description: Total size of the file in bytes
+   *               checksum:
+   *                 type: string
+   *                 description: SHA-256 hex digest of the whole file; may instead be given on completion
+   *               document_id:
+   *                 type: string
+   *                 description: Store the file as a new version of this document, as with /upload
+   *               category:
+   *                 type: string
+   *               owner:
+   *                 type: string
+   *               jurisdiction:
+   *                 type: string
+   *               effective_date:
+   *                 type: string
+   *                 format: date
+   *               expiry_date:
+   *                 type: string
+   *                 format: date
+   *               tags:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       201:
+   *         description: Upload session created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 upload_id:
+   *                   type: string
+   *                 offset:
+   *                   type: integer
+   *                 chunk_max_bytes:
+   *                   type: integer
+   *                 expires_at:
+   *                   type: string
+   *                   format: date-time
+   *       400:
+   *         description: Missing or invalid fields
+   *       403:
+   *         description: Caller is not a member of the project
+   *       413:
+   *         description: size exceeds UPLOAD_MAX_BYTES
+   *       507:
+   *         description: The file would not fit in the project's storage quota
+   */
+  router.post('/uploads', projectAccess, async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+      const body = req.body || {};
+      const projectId = body.project_id || body.projectId;
+      if (!projectId) return res.status(400).json({ error: 'project_id is required' });
+      if (typeof body.filename !== 'string' || !body.filename.trim()) return res.status(400).json({ error: 'filename is required' });
+      if (!Number.isSafeInteger(body.size) || body.size < 1) return res.status(400).json({ error: 'size must be a positive integer' });
+      if (body.size > UPLOAD_MAX_BYTES) return res.status(413).json({ error: `File exceeds the ${UPLOAD_MAX_BYTES} byte upload limit` });
+      if (body.document_id !== undefined && typeof body.document_id !== 'string') return res.status(400).json({ error: 'document_id must be a string' });
+      const checksum = parseChecksum(body.checksum);
+      const metadata = parseMetadata(body);
+
+      // Refused early so the client doesn't send a file that can't be kept; completion checks again
+      const quota = await quotaStatus(pool, projectId);
+      if (quota.remaining_bytes !== null && quota.remaining_bytes < body.size) {
+        setQuotaHeaders(res, quota);
+        return res.status(507).json({ error: 'The file does not fit in the project\'s storage quota', quota });
+      }
+
+      const { rows } = await pool.query(
+        `INSERT INTO upload_sessions (id, project_id, target_document_id, filename, size_bytes, checksum, metadata, created_by, expires_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8, now() + $9 * interval '1 millisecond') RETURNING ${SESSION_COLUMNS}`,
+        [uuidv4(), projectId, body.document_id || null, body.filename.trim(), body.size, checksum, JSON.stringify(metadata),
+          req.user ? req.user.id : null, sessions.SESSION_TTL_MS]
+      );
+      res.set('Location', `/uploads/${rows[0].id}`);
+      res.set('Upload-Offset', '0');
+      return res.status(201).json({ ...presentSession(rows[0]), chunk_max_bytes: sessions.CHUNK_MAX_BYTES });
+    } catch (err) {
+      // A malformed document_id only surfaces once Postgres parses it
+      if (err.code === '22P02') return res.status(400).json({ error: 'document_id is invalid' });
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /uploads/{upload_id}:
+   *   get:
+   *     summary: State of a resumable upload, including the offset to continue from
+   *     parameters:
+   *       - in: path
+   *         name: upload_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Upload session
+   *       404:
+   *         description: Unknown or expired upload
+   */
+  router.get('/uploads/:upload_id', sessionAccess, async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+      const { rows } = await pool.query(
+        `SELECT ${SESSION_COLUMNS} FROM upload_sessions WHERE id::text = $1 AND expires_at > now()`,
+        [req.params.upload_id]
+      );
+      if (!rows.length) return res.status(404).json({ error: 'upload not found or expired' });
+      res.set('Upload-Offset', String(rows[0].received_bytes));
+      return res.json(presentSession(rows[0]));
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /uploads/{upload_id}:
+   *   patch:
+   *     summary: Append a chunk to a resumable upload
+   *     description: |
+   *       The raw bytes go in the body (`Content-Type: application/offset+octet-stream` or
+   *       `application/octet-stream`) and `Upload-Offset` must equal the upload's current offset.
+   *       A chunk holds at most UPLOAD_CHUNK_MAX_BYTES (default 8 MiB). If the connection drops
+   *       mid-chunk, the bytes that arrived are kept; ask `GET /uploads/{upload_id}` where to resume.
+   *     parameters:
+   *       - in: path
+   *         name: upload_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: header
+   *         name: Upload-Offset
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/offset+octet-stream:
+   *           schema:
+   *             type: string
+   *             format: binary
+   *     responses:
+   *       200:
+   *         description: Chunk stored; `offset` (and the `Upload-Offset` header) is the new offset
+   *       400:
+   *         description: Missing or invalid Upload-Offset
+   *       404:
+   *         description: Unknown or expired upload
+   *       409:
+   *         description: Upload-Offset doesn't match (the body's `offset` is the current one), the upload is complete, or another chunk is being received
+   *       413:
+   *         description: The chunk is larger than UPLOAD_CHUNK_MAX_BYTES or than what is left of the file
+   *       415:
+   *         description: Wrong Content-Type
+   */
+  router.patch('/uploads/:upload_id', sessionAccess, async (req, res, next) => {
+    if (!CHUNK_TYPES.includes(String(req.get('content-type') || '').split(';')[0].trim().toLowerCase())) {
+      return res.status(415).json({ error: `Content-Type must be one of: ${CHUNK_TYPES.join(', ')}` });
+    }
+    const offset = Number(req.get('upload-offset'));
+    if (req.get('upload-offset') === undefined || !Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset must be a non-negative integer' });
+    }
+
+    const session = await withSession(req, res, next, async (current) => {
+      if (current.status !== 'active') throw new HttpError(409, 'The upload is already complete');
+      const received = Number(current.received_bytes);
+      if (offset !== received) throw new HttpError(409, 'Upload-Offset does not match the upload', { offset: received });
+
+      const remaining = Number(current.size_bytes) - received;
+      if (!remaining) throw new HttpError(409, 'The upload has received all its bytes; complete it');
+      const size = await sessions.appendChunk(current.id, received, req, Math.min(sessions.CHUNK_MAX_BYTES, remaining));
+      // Only acknowledged while the lease is still ours; a request that took the session over
+      // starts again from the acknowledged offset
+      const { rows } = await pool.query(
+        `UPDATE upload_sessions SET received_bytes = $3, updated_at = now(), expires_at = now() + $4 * interval '1 millisecond'
+         WHERE id = $1 AND lease_id = $2 RETURNING ${SESSION_COLUMNS}`,
+        [current.id, current.lease_id, size, sessions.SESSION_TTL_MS]
+      );
+      if (!rows.length) throw new HttpError(409, 'The upload was taken over by another request');
+      return rows[0];
+    });
+    if (!session) return undefined;
+    res.set('Upload-Offset', String(session.received_bytes));
+    return res.json(presentSession(session));
+  });
+
+  /**
+   * @openapi
+   * /uploads/{upload_id}/complete:
+   *   post:
+   *     summary: Finish a resumable upload and record the document
+   *     description: |
+   *       Once every byte has arrived, the file's SHA-256 is compared with the declared checksum and
+   *       the file is stored and recorded exactly like `/upload` (format check, duplicates,
+   *       versioning, quota). Calling it again after success returns the same document.
+   *     parameters:
+   *       - in: path
+   *         name: upload_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               checksum:
+   *                 type: string
+   *                 description: SHA-256 hex digest of the whole file, if it wasn't given when the upload started
+   *     responses:
+   *       200:
+   *         description: Document recorded; same body as /upload
+   *       400:
+   *         description: No checksum was given
+   *       404:
+   *         description: Unknown or expired upload
+   *       409:
+   *         description: Bytes are still missing (`offset` says how many arrived), or another request holds the upload
+   *       415:
+   *         description: File content is not one of the accepted policy formats
+   *       422:
+   *         description: The received file does not match the checksum
+   *       507:
+   *         description: The file would exceed the project's quota
+   */
+  router.post('/uploads/:upload_id/complete', sessionAccess, async (req, res, next) => {
+    const body = req.body || {};
+    const outcome = await withSession(req, res, next, async (session) => {
+      if (session.status === 'completed') {
+        const { rows } = await pool.query(`SELECT * FROM documents WHERE id = $1`, [session.document_id]);
+        return { document: rows[0] || null, repeated: true };
+      }
+      const received = Number(session.received_bytes);
+      if (received < Number(session.size_bytes)) throw new HttpError(409, 'The upload is missing bytes', { offset: received });
+
+      const given = parseChecksum(body.checksum);
+      if (given && session.checksum && given !== session.checksum) throw new HttpError(400, 'checksum differs from the one given when the upload started');
+      const expected = given || session.checksum;
+      if (!expected) throw new HttpError(400, 'checksum is required');
+      if ((await sessions.hashPart(session.id)) !== expected) throw new HttpError(422, 'The received file does not match the checksum');
+
+      const stored = await storeFile(fs.createReadStream(sessions.partPath(session.id)), {
+        originalName: session.filename,
+        quota: await quotaStatus(pool, session.project_id),
+      });
+      const result = await recordFile(pool, {
+        projectId: session.project_id,
+        documentId: session.target_document_id,
+        stored,
+        originalName: session.filename,
+        uploadedBy: req.user ? req.user.id : null,
+        metadata: session.metadata,
+      });
+      // Kept until it expires so a retried completion finds the document
+      await pool.query(
+        `UPDATE upload_sessions SET status = 'completed', document_id = $2, updated_at = now() WHERE id = $1`,
+        [session.id, result.document.id]
+      );
+      return result;
+    });
+    if (!outcome) return undefined;
+    await sessions.removePart(req.params.upload_id).catch(() => {});
+
+    setQuotaHeaders(res, outcome.quota);
+    if (outcome.repeated) {
+      return res.json({ document_id: outcome.document && outcome.document.id, message: 'upload already completed', document: outcome.document });
+    }
+    if (outcome.duplicate) {
+      return res.json({ document_id: outcome.document.id, message: 'identical file already uploaded', duplicate: true, document: outcome.document });
+    }
+    return res.json({
+      document_id: outcome.document.id,
+      message: 'upload successfully',
+      name: outcome.key,
+      url: outcome.url,
+      version: outcome.version.version,
+      document: outcome.document,
+    });
+  });
+
+  /**
+   * @openapi
+   * /uploads/{upload_id}:
+   *   delete:
+   *     summary: Abandon a resumable upload and discard the bytes received so far
+   *     parameters:
+   *       - in: path
+   *         name: upload_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       204:
+   *         description: Upload discarded
+   *       404:
+   *         description: Unknown or expired upload
+   *       409:
+   *         description: Another request holds the upload
+   */
+  router.delete('/uploads/:upload_id', sessionAccess, async (req, res, next) => {
+    const deleted = await withSession(req, res, next, async (session) => {
+      await pool.query(`DELETE FROM upload_sessions WHERE id = $1`, [session.id]);
+      return session;
+    });
+    if (!deleted) return undefined;
+    await sessions.removePart(deleted.id).catch(() => {});
+    return res.status(204).end();
+  });
+
+  return router;
+};
@@ -0,0 +1,152 @@
+require('dotenv').config();
+const storage = require('./storage');
+const { HttpError } = require('./errors');
+const { recordEvent } = require('./lifecycle');
+const { logger } = require('./logger');
+
+// Days a trashed document is kept before it is purged, for projects without an override in
+// `project_retention`; 0 keeps trash until it is purged by hand
+const TRASH_RETENTION_DAYS = nonNegative(process.env.TRASH_RETENTION_DAYS, 30);
+const PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function nonNegative(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * The project's retention rule: `trash_days` (null when trash is never purged
+ * automatically) and whether the whole project is under legal hold.
+ */
+async function projectRetention(db, projectId) {
+  const { rows } = await db.query(
+    `SELECT trash_days, legal_hold, legal_hold_reason FROM project_retention WHERE project_id = $1`,
+    [projectId]
+  );
+  const rule = rows[0] || {};
+  const days = rule.trash_days == null ? TRASH_RETENTION_DAYS : rule.trash_days;
+  return {
+    project_id: projectId,
+    trash_days: days > 0 ? days : null,
+    legal_hold: Boolean(rule.legal_hold),
+    legal_hold_reason: rule.legal_hold_reason || null,
+  };
+}
+
+// When a trashed document will be purged; null if it won't be (a hold, or no retention period)
+function purgeAfter(doc, retention) {
+  if (!doc.deleted_at || doc.legal_hold || retention.legal_hold || !retention.trash_days) return null;
+  return new Date(new Date(doc.deleted_at).getTime() + retention.trash_days * DAY_MS);
+}
+
+/**
+ * Deletes a document for good: its row and the stored files of every version. Refused with
+ * 409 while the document or its project is under legal hold. Resolves to the deleted row,
+ * or null if the document doesn't exist.
+ */
+async function purgeDocument(pool, documentId, { actor = null } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(`SELECT * FROM documents WHERE id = $1 FOR UPDATE`, [documentId]);
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const doc = rows[0];
+    // FOR SHARE keeps a project hold from being lifted and re-checked halfway through
+    const { rows: rules } = await client.query(`SELECT legal_hold FROM project_retention WHERE project_id = $1 FOR SHARE`, [doc.project_id]);
+    if (doc.legal_hold || (rules[0] && rules[0].legal_hold)) {
+      throw new HttpError(409, doc.legal_hold ? 'The document is under legal hold' : 'The project is under legal hold');
+    }
+
+    // Every stored version has to go, not just the current file
+    const { rows: versions } = await client.query(
+      `SELECT DISTINCT file_path, storage_provider, storage_key FROM document_versions
+       WHERE document_id = $1 AND (file_path, storage_provider, storage_key) IS DISTINCT FROM ($2, $3, $4)`,
+      [documentId, doc.file_path, doc.storage_provider, doc.storage_key]
+    );
+    const objects = [doc, ...versions].filter((o) => o.storage_key || o.file_path || o.filename);
+
+    await client.query(`DELETE FROM documents WHERE id = $1`, [documentId]);
+    // The history outlives the row, so the purge itself is part of it
+    await recordEvent(client, {
+      documentId,
+      projectId: doc.project_id,
+      type: 'purged',
+      actor,
+      fromStatus: doc.status,
+      details: { filename: doc.filename },
+    });
+    // Remove the objects before committing so a storage failure leaves the row in place
+    for (const object of objects) {
+      const { driver, key } = storage.locate(object);
+      await driver.delete(key);
+    }
+    await client.query('COMMIT');
+    return doc;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Purges up to `limit` documents whose time in the trash has run out, oldest first, and
+// resolves to how many were purged
+async function purgeExpiredTrash(pool, { limit = PURGE_BATCH_SIZE } = {}) {
+  const { rows } = await pool.query(
+    `SELECT d.id FROM documents d
+     LEFT JOIN project_retention r ON r.project_id = d.project_id
+     WHERE d.deleted_at IS NOT NULL AND NOT d.legal_hold AND NOT COALESCE(r.legal_hold, false)
+       AND COALESCE(r.trash_days, $1) > 0
+       AND d.deleted_at < now() - make_interval(days => COALESCE(r.trash_days, $1))
+     ORDER BY d.deleted_at
+     LIMIT $2`,
+    [TRASH_RETENTION_DAYS, limit]
+  );
+  let purged = 0;
+  for (const { id } of rows) {
+    try {
+      if (await purgeDocument(pool, id)) purged += 1;
+    } catch (err) {
+      // A hold placed since the query, or a storage failure; the next pass tries again
+      logger.warn('Purging document failed', { document_id: id, err });
+    }
+  }
+  return { found: rows.length, purged };
+}
+
+/**
+ * Purges expired trash every TRASH_PURGE_INTERVAL_MS until `stop()` is called. A pass that
+ * purged a full batch is followed immediately by another one.
+ */
+function startPurger(pool, { interval = PURGE_INTERVAL_MS, batchSize = PURGE_BATCH_SIZE } = {}) {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    let purged = 0;
+    try {
+      ({ purged } = await purgeExpiredTrash(pool, { limit: batchSize }));
+    } catch (err) {
+      logger.error('Trash purger error', { err });
+    }
+    if (stopped) return;
+    timer = setTimeout(tick, purged === batchSize ? 0 : interval);
+  };
+
+  timer = setTimeout(tick, 0);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+module.exports = { TRASH_RETENTION_DAYS, projectRetention, purgeAfter, purgeDocument, purgeExpiredTrash, startPurger };
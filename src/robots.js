@@ -0,0 +1,126 @@
+const { request, readBody, isRedirect, USER_AGENT } = require('./fetcher');
+const { HttpError } = require('./errors');
+
+// How long a fetched robots.txt is trusted before it is fetched again
+const CACHE_MS = 60 * 60 * 1000;
+const MAX_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 5;
+
+// The product token robots.txt groups are matched against, e.g. `PolicyFilesBot`
+const AGENT_TOKEN = USER_AGENT.split('/')[0].trim().toLowerCase();
+
+const ALLOW_ALL = { allows: () => true, crawlDelay: 0 };
+const DISALLOW_ALL = { allows: () => false, crawlDelay: 0 };
+
+const cache = new Map();
+
+// robots.txt path patterns: `*` matches any run of characters, a trailing `$` anchors the end
+function compilePattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Parses robots.txt as described in RFC 9309 and returns the rules that apply to our
+ * user agent: the groups naming it, or else the `*` groups. `allows(path)` applies the
+ * longest matching rule, with Allow winning ties.
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(text).split(/\r?\n|\r/)) {
+    const line = raw.replace(/#.*$/, '').trim();
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+    const key = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (key === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if ((key === 'allow' || key === 'disallow') && value) {
+      current.rules.push({ allow: key === 'allow', length: value.length, regex: compilePattern(value) });
+    } else if (key === 'crawl-delay' && !Number.isNaN(parseFloat(value))) {
+      current.crawlDelay = parseFloat(value);
+    }
+  }
+
+  let matching = groups.filter((g) => g.agents.includes(AGENT_TOKEN));
+  if (!matching.length) matching = groups.filter((g) => g.agents.includes('*'));
+  const rules = matching.flatMap((g) => g.rules);
+  const delays = matching.map((g) => g.crawlDelay).filter((d) => d !== null);
+
+  return {
+    allows(path) {
+      if (path === '/robots.txt') return true;
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.regex.test(path)) continue;
+        if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) best = rule;
+      }
+      return !best || best.allow;
+    },
+    crawlDelay: delays.length ? Math.max(...delays) : 0,
+  };
+}
+
+async function fetchRobots(origin) {
+  let target = `${origin}/robots.txt`;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+    let res;
+    try {
+      res = await request(target);
+    } catch (err) {
+      // A host we may not contact at all says so itself rather than as a robots.txt refusal
+      if (err instanceof HttpError && err.status === 403) throw err;
+      // Unreachable: assume everything is disallowed (RFC 9309 2.3.1.4)
+      return DISALLOW_ALL;
+    }
+    if (isRedirect(res.status) && res.headers.location) {
+      res.body.resume();
+      target = new URL(res.headers.location, target).href;
+      continue;
+    }
+    if (res.status >= 200 && res.status < 300) {
+      try {
+        return parseRobots((await readBody(res.body, MAX_BYTES)).toString('utf8'));
+      } catch (err) {
+        return DISALLOW_ALL;
+      }
+    }
+    res.body.resume();
+    // 4xx means there is no robots.txt; 5xx means the site can't tell us, so stay out
+    return res.status < 500 ? ALLOW_ALL : DISALLOW_ALL;
+  }
+  return ALLOW_ALL;
+}
+
+/**
+ * The robots rules for a URL's origin, fetched once and cached for an hour.
+ */
+async function robotsFor(url) {
+  const { origin } = new URL(url);
+  const hit = cache.get(origin);
+  if (hit && hit.expires > Date.now()) return hit.rules;
+
+  const rules = await fetchRobots(origin);
+  if (cache.size > 1000) {
+    for (const [key, entry] of cache) if (entry.expires <= Date.now()) cache.delete(key);
+  }
+  cache.set(origin, { rules, expires: Date.now() + CACHE_MS });
+  return rules;
+}
+
+module.exports = { robotsFor, parseRobots };
@@ -0,0 +1,118 @@
+const express = require('express');
+const auth = require('./auth');
+const { scrape, SCRAPE_MAX_URLS } = require('./scraper');
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const projectAccess = auth.requireProjectAccess(pool, auth.projectFromParams);
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/scrape:
+   *   post:
+   *     summary: Fetch web pages and PDFs into a project as scraped documents
+   *     description: |
+   *       Every URL is fetched (following redirects), stored like an `/upload` and recorded with
+   *       `source = 'Scrape'`. robots.txt is honoured and requests to one host are spaced out
+   *       by `SCRAPE_DELAY_MS` or the site's Crawl-delay. A URL scraped before becomes a new
+   *       version of its document when the content changed. URLs are handled one by one, so
+   *       the request succeeds even if some of them are rejected. The scrape runs within the
+   *       request: at most `SCRAPE_MAX_URLS` (default 20) URLs are fetched, and none is started
+   *       after `SCRAPE_TIME_BUDGET_MS` (default 30s). Send the `truncated` ones again in a
+   *       later request.
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               urls:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               sitemap:
+   *                 type: string
+   *                 description: URL of a sitemap (or sitemap index) whose pages are scraped too
+   *               follow_pdfs:
+   *                 type: boolean
+   *                 description: Also scrape PDFs linked from the fetched pages
+   *     responses:
+   *       200:
+   *         description: Per-URL results
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 project_id:
+   *                   type: string
+   *                 results:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       url:
+   *                         type: string
+   *                       filename:
+   *                         type: string
+   *                       status:
+   *                         type: string
+   *                         enum: [created, versioned, duplicate, rejected]
+   *                       document_id:
+   *                         type: string
+   *                       version:
+   *                         type: integer
+   *                       error:
+   *                         type: string
+   *                       code:
+   *                         type: integer
+   *                         description: HTTP-style status explaining a rejection (403 for robots.txt, 415 for unsupported content, 502 for fetch failures)
+   *                 summary:
+   *                   type: object
+   *                 truncated:
+   *                   type: integer
+   *                   description: URLs left out because the request hit SCRAPE_MAX_URLS or SCRAPE_TIME_BUDGET_MS
+   *       400:
+   *         description: No URLs given, or too many
+   */
+  router.post('/documents/project/:project_id/scrape', projectAccess, async (req, res, next) => {
+    try {
+      const projectId = req.params.project_id;
+      if (!projectId) return res.status(400).json({ error: 'project_id is required' });
+
+      const body = req.body || {};
+      const urls = body.urls === undefined ? [] : body.urls;
+      if (!Array.isArray(urls) || urls.some((u) => typeof u !== 'string')) {
+        return res.status(400).json({ error: 'urls must be an array of strings' });
+      }
+      if (body.sitemap !== undefined && typeof body.sitemap !== 'string') {
+        return res.status(400).json({ error: 'sitemap must be a URL' });
+      }
+      if (!urls.length && !body.sitemap) return res.status(400).json({ error: 'urls or sitemap is required' });
+      if (urls.length > SCRAPE_MAX_URLS) {
+        return res.status(400).json({ error: `A scrape can contain at most ${SCRAPE_MAX_URLS} URLs` });
+      }
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const { results, summary, truncated } = await scrape(pool, {
+        projectId,
+        urls,
+        sitemap: body.sitemap || null,
+        followPdfs: body.follow_pdfs === true,
+        uploadedBy: req.user ? req.user.id : null,
+      });
+      return res.json({ project_id: projectId, results, summary, truncated });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  return router;
+};
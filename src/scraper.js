@@ -0,0 +1,274 @@
+require('dotenv').config();
+const path = require('path');
+const zlib = require('zlib');
+const { storeFile, recordFile, UPLOAD_MAX_BYTES } = require('./ingest');
+const { request, readBody, parseTarget, isRedirect } = require('./fetcher');
+const { robotsFor } = require('./robots');
+const { quotaStatus } = require('./usage');
+const { HttpError, toHttpError } = require('./errors');
+const { logger } = require('./logger');
+
+// Pages fetched per scrape request, including PDFs found through `follow_pdfs`. A scrape
+// runs inside the HTTP request, so both limits stay well below what a client or proxy
+// would wait for.
+const SCRAPE_MAX_URLS = parseInt(process.env.SCRAPE_MAX_URLS, 10) || 20;
+
+// No fetch starts (nor waits for its host's turn past) this long after the scrape began.
+// The fetch in flight can still take up to SCRAPE_TIMEOUT_MS.
+const SCRAPE_TIME_BUDGET_MS = parseInt(process.env.SCRAPE_TIME_BUDGET_MS, 10) || 30 * 1000;
+
+// Minimum pause between two requests to the same host. A robots.txt Crawl-delay can
+// stretch it, up to MAX_CRAWL_DELAY_MS so one site can't stall a request indefinitely.
+const SCRAPE_DELAY_MS = Number.isNaN(parseInt(process.env.SCRAPE_DELAY_MS, 10)) ? 1000 : parseInt(process.env.SCRAPE_DELAY_MS, 10);
+const MAX_CRAWL_DELAY_MS = 30 * 1000;
+
+const MAX_REDIRECTS = 5;
+const SITEMAP_MAX_BYTES = 10 * 1024 * 1024;
+
+// host -> earliest time the next request to it may start, shared by concurrent scrapes
+const nextSlot = new Map();
+
+// Thrown when a URL's turn would come after the scrape's deadline; the URL and everything
+// still queued are counted in `truncated`
+class OutOfTime extends HttpError {
+  constructor(url) {
+    super(503, `The scrape ran out of time before ${url} could be fetched`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Resolves false, without taking the slot, when the host's turn comes after `deadline`
+async function waitTurn(host, delayMs, deadline) {
+  const now = Date.now();
+  if (nextSlot.size > 1000) {
+    for (const [key, at] of nextSlot) if (at <= now) nextSlot.delete(key);
+  }
+  const at = Math.max(now, nextSlot.get(host) || 0);
+  if (at > deadline) return false;
+  nextSlot.set(host, at + delayMs);
+  if (at > now) await sleep(at - now);
+  return true;
+}
+
+/**
+ * GET that follows redirects, checking robots.txt and waiting for the host's turn before
+ * every hop. Resolves with the final 2xx response; `url` is where it was fetched from.
+ */
+async function politeGet(value, deadline) {
+  let target = parseTarget(value);
+  for (let hop = 0; ; hop += 1) {
+    const robots = await robotsFor(target.href);
+    if (!robots.allows(target.pathname + target.search)) throw new HttpError(403, `Disallowed by robots.txt: ${target.href}`);
+    const delayMs = Math.max(SCRAPE_DELAY_MS, Math.min(robots.crawlDelay * 1000, MAX_CRAWL_DELAY_MS));
+    if (!(await waitTurn(target.host, delayMs, deadline))) throw new OutOfTime(value);
+
+    const res = await request(target.href);
+    if (isRedirect(res.status) && res.headers.location) {
+      res.body.resume();
+      if (hop >= MAX_REDIRECTS) throw new HttpError(502, `Too many redirects fetching ${value}`);
+      target = parseTarget(new URL(res.headers.location, target).href);
+      continue;
+    }
+    if (res.status < 200 || res.status >= 300) {
+      res.body.resume();
+      throw new HttpError(502, `Fetching ${target.href} failed with HTTP ${res.status}`);
+    }
+    return res;
+  }
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+function decodeXml(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (m, e) => ({ amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" })[e]);
+}
+
+function contentType(res) {
+  return String(res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+// The server's Content-Disposition name if it sends one, else the last path segment.
+// Pages get an .html extension so they read as such in listings and exports.
+function filenameFor(res) {
+  const disposition = String(res.headers['content-disposition'] || '');
+  const match = /filename\*=(?:UTF-8'')?([^;]+)|filename="?([^";]+)"?/i.exec(disposition);
+  let name = match ? safeDecode((match[1] || match[2]).trim()) : path.posix.basename(safeDecode(res.url.pathname));
+  if (!name || name === '/') name = res.url.hostname;
+
+  const ext = path.extname(name).toLowerCase();
+  const type = contentType(res);
+  if (type === 'text/html' && ext !== '.html' && ext !== '.htm') name += '.html';
+  if (type === 'application/pdf' && ext !== '.pdf') name += '.pdf';
+  return name;
+}
+
+// PDFs linked from a page, as absolute URLs
+function pdfLinks(html, base) {
+  const links = new Set();
+  for (const match of html.matchAll(/href\s*=\s*["']?([^"'\s>]+)/gi)) {
+    try {
+      const url = new URL(decodeXml(match[1]), base);
+      url.hash = '';
+      if ((url.protocol === 'http:' || url.protocol === 'https:') && /\.pdf$/i.test(url.pathname)) links.add(url.href);
+    } catch (err) {
+      // not a URL
+    }
+  }
+  return [...links];
+}
+
+async function readSitemap(url, deadline) {
+  const res = await politeGet(url, deadline);
+  let body = await readBody(res.body, SITEMAP_MAX_BYTES);
+  if (body[0] === 0x1f && body[1] === 0x8b) body = zlib.gunzipSync(body, { maxOutputLength: SITEMAP_MAX_BYTES });
+  const xml = body.toString('utf8');
+  return {
+    index: /<sitemapindex[\s>]/i.test(xml),
+    locs: [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map((m) => decodeXml(m[1])),
+  };
+}
+
+// Page URLs listed in a sitemap; a sitemap index is followed one level down
+async function sitemapUrls(url, limit, deadline) {
+  const { index, locs } = await readSitemap(url, deadline);
+  if (!index) return locs;
+  const urls = [];
+  for (const child of locs) {
+    if (urls.length >= limit) break;
+    urls.push(...(await readSitemap(child, deadline)).locs);
+  }
+  return urls;
+}
+
+function rejected(url, err) {
+  const error = toHttpError(err);
+  if (error.cause) logger.error('Scrape error', { url, err: error.cause });
+  return { url, status: 'rejected', error: error.message, code: error.status };
+}
+
+async function record(pool, url, stored, originalName, { projectId, uploadedBy }) {
+  try {
+    // A URL scraped before becomes a new version of the document it produced, unless the
+    // content is unchanged (then it is a duplicate of it)
+    const { rows } = await pool.query(
+      `SELECT id FROM documents WHERE project_id = $1 AND source_url = $2 AND deleted_at IS NULL ORDER BY created_at DESC LIMIT 1`,
+      [projectId, url]
+    );
+    const result = await recordFile(pool, {
+      projectId,
+      documentId: rows.length ? rows[0].id : null,
+      stored,
+      originalName,
+      source: 'Scrape',
+      sourceUrl: url,
+      uploadedBy,
+      matchFilename: false,
+    });
+    const base = { url, filename: originalName, document_id: result.document.id };
+    if (result.duplicate) return { ...base, status: 'duplicate' };
+    return { ...base, status: result.created ? 'created' : 'versioned', version: result.version.version };
+  } catch (err) {
+    if (err instanceof HttpError && err.status === 409) {
+      return { url, filename: originalName, status: 'duplicate', document_id: err.details.document_id, error: err.message };
+    }
+    if (!stored.recorded) await stored.driver.delete(stored.key).catch(() => {});
+    return rejected(url, err);
+  }
+}
+
+// Fetches and records one URL. Pages are read whole when their PDF links are wanted;
+// everything else streams straight into storage.
+async function scrapeUrl(pool, url, options, followPdfs) {
+  let res;
+  try {
+    res = await politeGet(url, options.deadline);
+  } catch (err) {
+    if (err instanceof OutOfTime) throw err;
+    return { result: rejected(url, err), links: [] };
+  }
+
+  const originalName = filenameFor(res);
+  let links = [];
+  let stored;
+  try {
+    let body = res.body;
+    if (followPdfs && contentType(res) === 'text/html') {
+      body = await readBody(res.body, UPLOAD_MAX_BYTES);
+      links = pdfLinks(body.toString('utf8'), res.url);
+    }
+    stored = await storeFile(body, { originalName, quota: await quotaStatus(pool, options.projectId) });
+  } catch (err) {
+    res.body.destroy();
+    return { result: rejected(url, err), links: [] };
+  }
+  return { result: await record(pool, url, stored, originalName, options), links };
+}
+
+/**
+ * Fetches `urls` (and the pages listed in `sitemap`) into a project as `source = 'Scrape'`
+ * documents, one at a time, honouring robots.txt and the per-host delay. With
+ * `followPdfs`, PDFs linked from the fetched pages are scraped as well. Every URL gets a
+ * result like a batch upload file does; URLs beyond SCRAPE_MAX_URLS, or whose turn would
+ * come after SCRAPE_TIME_BUDGET_MS, are only counted in `truncated`.
+ */
+async function scrape(pool, { projectId, urls = [], sitemap = null, followPdfs = false, uploadedBy = null }) {
+  const options = { projectId, uploadedBy, deadline: Date.now() + SCRAPE_TIME_BUDGET_MS };
+  const results = [];
+  const queue = urls.map((url) => ({ url, page: true }));
+
+  if (sitemap) {
+    try {
+      const listed = await sitemapUrls(sitemap, SCRAPE_MAX_URLS, options.deadline);
+      queue.push(...listed.map((url) => ({ url, page: true })));
+    } catch (err) {
+      results.push(rejected(sitemap, err));
+    }
+  }
+
+  const seen = new Set();
+  let fetched = 0;
+  let truncated = 0;
+  let outOfTime = false;
+  while (queue.length) {
+    const item = queue.shift();
+    let url;
+    try {
+      url = parseTarget(item.url).href;
+    } catch (err) {
+      results.push(rejected(item.url, err));
+      continue;
+    }
+    if (seen.has(url)) continue;
+    seen.add(url);
+    if (fetched >= SCRAPE_MAX_URLS || outOfTime || Date.now() >= options.deadline) {
+      truncated += 1;
+      continue;
+    }
+
+    try {
+      const { result, links } = await scrapeUrl(pool, url, options, followPdfs && item.page);
+      results.push(result);
+      queue.push(...links.map((link) => ({ url: link, page: false })));
+      fetched += 1;
+    } catch (err) {
+      if (!(err instanceof OutOfTime)) throw err;
+      outOfTime = true;
+      truncated += 1;
+    }
+  }
+
+  const summary = { created: 0, versioned: 0, duplicate: 0, rejected: 0 };
+  for (const r of results) summary[r.status] += 1;
+  return { results, summary, truncated };
+}
+
+module.exports = { scrape, SCRAPE_MAX_URLS };
@@ -0,0 +1,143 @@
+const express = require('express');
+const auth = require('./auth');
+const { listParam } = require('./params');
+
+// ts_headline wraps matches in these markers; the snippet is HTML-escaped before they
+// are swapped for <mark> tags, so document text can't inject markup.
+const START_SEL = '\u0002';
+const STOP_SEL = '\u0003';
+
+const MAX_LIMIT = 100;
+
+// Must stay identical to the expression of the GIN index on documents so the planner
+// can use it (see migrations/003_search_index.sql). Filename separators are split so `travel_policy.pdf` matches `travel`.
+const SEARCH_VECTOR = `(setweight(to_tsvector('english', regexp_replace(coalesce(filename, ''), '[_.-]+', ' ', 'g')), 'A') ||
+  setweight(to_tsvector('english', coalesce(document_content, '')), 'B'))`;
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function highlight(snippet) {
+  return escapeHtml(snippet || '').split(START_SEL).join('<mark>').split(STOP_SEL).join('</mark>');
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const projectAccess = auth.requireProjectAccess(pool, auth.projectFromParams);
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/search:
+   *   get:
+   *     summary: Full-text search over filename and extracted content of a project's documents
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         description: Search terms; supports quoted phrases, `or` and `-` exclusions
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: source
+   *         description: Comma-separated sources to include (e.g. Upload,Scrape)
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: status
+   *         description: Comma-separated statuses to include (e.g. processed,analysed)
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *           maximum: 100
+   *       - in: query
+   *         name: offset
+   *         schema:
+   *           type: integer
+   *           default: 0
+   *     responses:
+   *       200:
+   *         description: Ranked search hits, best match first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 query:
+   *                   type: string
+   *                 results:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: string
+   *                       filename:
+   *                         type: string
+   *                       source:
+   *                         type: string
+   *                       status:
+   *                         type: string
+   *                       created_at:
+   *                         type: string
+   *                       rank:
+   *                         type: number
+   *                       snippet:
+   *                         type: string
+   *                         description: HTML-escaped excerpt with matches wrapped in <mark> tags
+   *       400:
+   *         description: Missing search query
+   */
+  router.get('/documents/project/:project_id/search', projectAccess, async (req, res, next) => {
+    try {
+      const projectId = req.params.project_id;
+      if (!projectId) return res.status(400).json({ error: 'project_id is required' });
+      const q = String(req.query.q || '').trim();
+      if (!q) return res.status(400).json({ error: 'q is required' });
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_LIMIT);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const params = [projectId, q];
+      const filters = [];
+      const sources = listParam(req.query.source);
+      if (sources.length) {
+        params.push(sources);
+        filters.push(`AND lower(d.source) = ANY($${params.length})`);
+      }
+      const statuses = listParam(req.query.status);
+      if (statuses.length) {
+        params.push(statuses);
+        filters.push(`AND lower(d.status) = ANY($${params.length})`);
+      }
+      params.push(limit, offset);
+
+      const query = `SELECT d.id, d.filename, d.source, d.status, d.created_at,
+          ts_rank_cd(${SEARCH_VECTOR}, q.query) AS rank,
+          ts_headline('english', coalesce(nullif(d.document_content, ''), d.filename), q.query,
+            'StartSel=${START_SEL}, StopSel=${STOP_SEL}, MaxWords=35, MinWords=15, MaxFragments=2') AS snippet
+        FROM documents d, websearch_to_tsquery('english', $2) AS q(query)
+        WHERE d.project_id = $1 AND d.deleted_at IS NULL AND ${SEARCH_VECTOR} @@ q.query ${filters.join(' ')}
+        ORDER BY rank DESC, d.filename
+        LIMIT $${params.length - 1} OFFSET $${params.length}`;
+      const { rows } = await pool.query(query, params);
+
+      const results = rows.map((r) => ({ ...r, snippet: highlight(r.snippet) }));
+      return res.json({ query: q, results, limit, offset });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,152 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { HttpError } = require('./errors');
+const { logger } = require('./logger');
+
+// Resumable upload sessions (see src/resumable.js). Bytes received so far are appended to
+// a part file per session; the row in `upload_sessions` records how many of them were
+// acknowledged. Every instance serving the routes must see the same UPLOAD_SESSION_DIR.
+const SESSION_DIR = process.env.UPLOAD_SESSION_DIR || path.join(os.tmpdir(), 'policy-upload-sessions');
+// A session expires this long after its last chunk
+const SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const CHUNK_MAX_BYTES = parseInt(process.env.UPLOAD_CHUNK_MAX_BYTES, 10) || 8 * 1024 * 1024;
+const SWEEP_INTERVAL_MS = parseInt(process.env.UPLOAD_SESSION_SWEEP_MS, 10) || 15 * 60 * 1000;
+// How long a request may work on a session before others can take it over. A chunk still
+// arriving after half of it is cut off, keeping what arrived, so the lease outlasts the write.
+const LEASE_MS = parseInt(process.env.UPLOAD_SESSION_LEASE_MS, 10) || 10 * 60 * 1000;
+const CHUNK_TIMEOUT_MS = Math.floor(LEASE_MS / 2);
+
+// Errors of a request body that ended early (or was cut off); whatever arrived before is kept
+const ABORT_CODES = ['ECONNRESET', 'ERR_STREAM_PREMATURE_CLOSE', 'ECONNABORTED', 'ABORT_ERR'];
+
+function partPath(sessionId) {
+  return path.join(SESSION_DIR, `${sessionId}.part`);
+}
+
+/**
+ * Leases an unexpired session for `LEASE_MS` in a statement of its own, so no transaction
+ * stays open while a request works on it. Throws 404 for unknown or expired sessions and
+ * 409 while another request holds the lease. The returned row carries the `lease_id` to
+ * pass to `releaseSession`.
+ */
+async function claimSession(pool, sessionId) {
+  const { rows } = await pool.query(
+    `UPDATE upload_sessions SET lease_id = $2, lease_expires_at = now() + $3 * interval '1 millisecond'
+     WHERE id::text = $1 AND expires_at > now() AND (lease_expires_at IS NULL OR lease_expires_at <= now())
+     RETURNING *`,
+    [sessionId, crypto.randomUUID(), LEASE_MS]
+  );
+  if (rows.length) return rows[0];
+
+  const { rows: existing } = await pool.query(`SELECT 1 FROM upload_sessions WHERE id::text = $1 AND expires_at > now()`, [sessionId]);
+  if (existing.length) throw new HttpError(409, 'The upload is busy with another request');
+  throw new HttpError(404, 'upload not found or expired');
+}
+
+// Gives up a lease; does nothing if it ran out and another request took the session
+async function releaseSession(pool, session) {
+  await pool.query(
+    `UPDATE upload_sessions SET lease_id = NULL, lease_expires_at = NULL WHERE id = $1 AND lease_id = $2`,
+    [session.id, session.lease_id]
+  );
+}
+
+/**
+ * Appends `body` to the session's part file at `offset`, accepting at most `maxBytes`.
+ * Bytes past `offset` left over from a chunk that was never acknowledged are dropped
+ * first. If the client goes away mid-chunk, or is still sending after CHUNK_TIMEOUT_MS,
+ * the bytes that did arrive are kept. Resolves to the part file's new length.
+ */
+async function appendChunk(sessionId, offset, body, maxBytes) {
+  const file = partPath(sessionId);
+  await fs.promises.mkdir(SESSION_DIR, { recursive: true });
+  const handle = await fs.promises.open(file, 'a');
+  try {
+    await handle.truncate(offset);
+  } finally {
+    await handle.close();
+  }
+
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, cb) {
+      received += chunk.length;
+      if (received > maxBytes) return cb(new HttpError(413, `A chunk can hold at most ${maxBytes} more bytes`));
+      return cb(null, chunk);
+    },
+  });
+  try {
+    await pipeline(body, limiter, fs.createWriteStream(file, { flags: 'a' }), { signal: AbortSignal.timeout(CHUNK_TIMEOUT_MS) });
+  } catch (err) {
+    if (!ABORT_CODES.includes(err.code)) {
+      await fs.promises.truncate(file, offset).catch(() => {});
+      throw err;
+    }
+  }
+  return (await fs.promises.stat(file)).size;
+}
+
+async function hashPart(sessionId) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(partPath(sessionId)), hash);
+  return hash.digest('hex');
+}
+
+function removePart(sessionId) {
+  return fs.promises.rm(partPath(sessionId), { force: true });
+}
+
+// Deletes expired sessions, completed or not, together with their part files; sessions a
+// request is still working on wait for the next sweep
+async function sweepExpiredSessions(pool) {
+  const { rows } = await pool.query(
+    `DELETE FROM upload_sessions WHERE expires_at <= now() AND (lease_expires_at IS NULL OR lease_expires_at <= now()) RETURNING id`
+  );
+  await Promise.all(rows.map((r) => removePart(r.id).catch(() => {})));
+  return rows.length;
+}
+
+// Removes expired sessions every UPLOAD_SESSION_SWEEP_MS until `stop()` is called
+function startSessionSweeper(pool, { interval = SWEEP_INTERVAL_MS } = {}) {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      await sweepExpiredSessions(pool);
+    } catch (err) {
+      logger.error('Upload session sweeper error', { err });
+    }
+    if (stopped) return;
+    timer = setTimeout(tick, interval);
+  };
+
+  timer = setTimeout(tick, 0);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+module.exports = {
+  SESSION_DIR,
+  SESSION_TTL_MS,
+  CHUNK_MAX_BYTES,
+  LEASE_MS,
+  claimSession,
+  releaseSession,
+  partPath,
+  appendChunk,
+  hashPart,
+  removePart,
+  sweepExpiredSessions,
+  startSessionSweeper,
+};
@@ -0,0 +1,252 @@
+const express = require('express');
+const auth = require('./auth');
+const { HttpError } = require('./errors');
+const { dateParam } = require('./params');
+const { STALE_AFTER_MS } = require('./worker');
+
+const INTERVAL_MS = { day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+// Window used when `from` is not given: 30 days, or 26 weeks
+const DEFAULT_BUCKETS = { day: 30, week: 26 };
+const MAX_BUCKETS = 366;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 50;
+
+// Extraction attempts are the moves out of `processing`; how long they took is measured
+// from the last time the document (re)entered `pending`
+function outcomeEvents(e) {
+  return `${e}.type = 'status_changed' AND ${e}.from_status = 'processing' AND ${e}.to_status IN ('processed', 'failed')`;
+}
+
+function parseWindow(query) {
+  const interval = query.interval === undefined ? 'day' : String(query.interval);
+  if (!INTERVAL_MS[interval]) throw new HttpError(400, 'interval must be day or week');
+  const to = dateParam('to', query.to) || new Date();
+  const from = dateParam('from', query.from) || new Date(to.getTime() - DEFAULT_BUCKETS[interval] * INTERVAL_MS[interval]);
+  if (from >= to) throw new HttpError(400, 'from must be before to');
+  if ((to - from) / INTERVAL_MS[interval] > MAX_BUCKETS) throw new HttpError(400, `The window spans more than ${MAX_BUCKETS} ${interval}s`);
+  return { interval, from, to };
+}
+
+function parseTop(value) {
+  if (value === undefined) return DEFAULT_TOP;
+  const top = parseInt(value, 10);
+  if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) throw new HttpError(400, `top must be between 1 and ${MAX_TOP}`);
+  return top;
+}
+
+function successRate(succeeded, failed) {
+  return succeeded + failed ? Math.round((succeeded / (succeeded + failed)) * 1000) / 1000 : null;
+}
+
+// Documents created per UTC day or week (weeks start on Monday), empty buckets included.
+// `projectId` null counts every project.
+async function uploadsOverTime(pool, projectId, { interval, from, to }) {
+  const { rows } = await pool.query(
+    `SELECT b.bucket AT TIME ZONE 'UTC' AS start, COUNT(d.id)::int AS documents, COALESCE(SUM(d.size_bytes), 0)::float8 AS bytes
+     FROM generate_series(date_trunc($4, $2::timestamptz AT TIME ZONE 'UTC'), ($3::timestamptz - interval '1 microsecond') AT TIME ZONE 'UTC', ('1 ' || $4)::interval) AS b(bucket)
+     LEFT JOIN documents d ON ($1::text IS NULL OR d.project_id = $1) AND d.deleted_at IS NULL
+       AND d.created_at >= $2 AND d.created_at < $3
+       AND date_trunc($4, d.created_at AT TIME ZONE 'UTC') = b.bucket
+     GROUP BY b.bucket ORDER BY b.bucket`,
+    [projectId, from, to, interval]
+  );
+  return rows;
+}
+
+async function projectStats(pool, projectId, window, top) {
+  const [uploads, bySource, outcomes, queue, largest, oldestPending] = await Promise.all([
+    uploadsOverTime(pool, projectId, window),
+    pool.query(
+      `SELECT COALESCE(source, 'unknown') AS source, COUNT(*)::int AS documents,
+         COALESCE(SUM(size_bytes), 0)::float8 AS total_bytes, ROUND(AVG(size_bytes))::float8 AS average_bytes,
+         COUNT(size_bytes)::int AS sized
+       FROM documents WHERE project_id = $1 AND deleted_at IS NULL GROUP BY 1 ORDER BY 2 DESC, 1`,
+      [projectId]
+    ),
+    pool.query(
+      `SELECT COUNT(*) FILTER (WHERE e.to_status = 'processed')::int AS succeeded,
+         COUNT(*) FILTER (WHERE e.to_status = 'failed')::int AS failed,
+         (AVG(EXTRACT(EPOCH FROM e.created_at - p.created_at)) FILTER (WHERE e.to_status = 'processed'))::float8 AS mean_seconds_to_processed
+       FROM document_events e
+       LEFT JOIN LATERAL (
+         SELECT created_at FROM document_events
+         WHERE document_id = e.document_id AND to_status = 'pending' AND id < e.id
+         ORDER BY id DESC LIMIT 1
+       ) p ON true
+       WHERE e.project_id = $1 AND ${outcomeEvents('e')} AND e.created_at >= $2 AND e.created_at < $3`,
+      [projectId, window.from, window.to]
+    ),
+    pool.query(
+      `SELECT COUNT(*) FILTER (WHERE lower(status) = 'pending')::int AS pending,
+         COUNT(*) FILTER (WHERE lower(status) = 'processing')::int AS processing,
+         COUNT(*) FILTER (WHERE lower(status) = 'processing' AND processing_started_at < now() - ($2 || ' milliseconds')::interval)::int AS stalled,
+         COUNT(*) FILTER (WHERE lower(status) = 'failed')::int AS failed
+       FROM documents WHERE project_id = $1 AND deleted_at IS NULL`,
+      [projectId, String(STALE_AFTER_MS)]
+    ),
+    pool.query(
+      `SELECT id, filename, source, size_bytes::float8 AS size_bytes, created_at
+       FROM documents WHERE project_id = $1 AND deleted_at IS NULL AND size_bytes IS NOT NULL
+       ORDER BY size_bytes DESC, id LIMIT $2`,
+      [projectId, top]
+    ),
+    pool.query(
+      `SELECT d.id, d.filename, d.source, d.created_at, COALESCE(p.created_at, d.created_at) AS pending_since
+       FROM documents d
+       LEFT JOIN LATERAL (
+         SELECT created_at FROM document_events WHERE document_id = d.id AND to_status = 'pending' ORDER BY id DESC LIMIT 1
+       ) p ON true
+       WHERE d.project_id = $1 AND d.deleted_at IS NULL AND lower(d.status) = 'pending'
+       ORDER BY pending_since, d.id LIMIT $2`,
+      [projectId, top]
+    ),
+  ]);
+
+  const { succeeded, failed, mean_seconds_to_processed } = outcomes.rows[0];
+  return {
+    project_id: projectId,
+    interval: window.interval,
+    from: window.from,
+    to: window.to,
+    uploads,
+    sources: bySource.rows,
+    extraction: {
+      succeeded,
+      failed,
+      success_rate: successRate(succeeded, failed),
+      mean_seconds_to_processed,
+    },
+    queue: queue.rows[0],
+    largest: largest.rows,
+    oldest_pending: oldestPending.rows,
+  };
+}
+
+// One row per project with its queue and how extraction went in the window, the projects
+// most likely to be stuck first
+async function adminStats(pool, window) {
+  const [projects, outcomes, uploads] = await Promise.all([
+    pool.query(
+      `SELECT project_id, COUNT(*)::int AS documents,
+         COUNT(*) FILTER (WHERE lower(status) = 'pending')::int AS pending,
+         COUNT(*) FILTER (WHERE lower(status) = 'processing')::int AS processing,
+         COUNT(*) FILTER (WHERE lower(status) = 'processing' AND processing_started_at < now() - ($1 || ' milliseconds')::interval)::int AS stalled,
+         COUNT(*) FILTER (WHERE lower(status) = 'failed')::int AS failed,
+         MIN(created_at) FILTER (WHERE lower(status) = 'pending') AS oldest_pending_created_at,
+         MAX(created_at) AS last_upload_at,
+         COALESCE(SUM(size_bytes), 0)::float8 AS total_bytes
+       FROM documents WHERE deleted_at IS NULL GROUP BY project_id`,
+      [String(STALE_AFTER_MS)]
+    ),
+    pool.query(
+      `SELECT e.project_id, COUNT(*) FILTER (WHERE e.to_status = 'processed')::int AS succeeded,
+         COUNT(*) FILTER (WHERE e.to_status = 'failed')::int AS failed
+       FROM document_events e WHERE ${outcomeEvents('e')} AND e.created_at >= $1 AND e.created_at < $2
+       GROUP BY e.project_id`,
+      [window.from, window.to]
+    ),
+    uploadsOverTime(pool, null, window),
+  ]);
+
+  const byProject = new Map(outcomes.rows.map((r) => [r.project_id, r]));
+  const rows = projects.rows.map((p) => {
+    const { succeeded = 0, failed = 0 } = byProject.get(p.project_id) || {};
+    return { ...p, extraction: { succeeded, failed, success_rate: successRate(succeeded, failed) } };
+  });
+  const pendingSince = (p) => (p.oldest_pending_created_at ? new Date(p.oldest_pending_created_at).getTime() : Infinity);
+  rows.sort((a, b) => b.stalled - a.stalled || pendingSince(a) - pendingSince(b) || String(a.project_id).localeCompare(String(b.project_id)));
+
+  const totals = { documents: 0, pending: 0, processing: 0, stalled: 0, failed: 0 };
+  for (const p of rows) for (const key of Object.keys(totals)) totals[key] += p[key];
+
+  return { interval: window.interval, from: window.from, to: window.to, totals, uploads, projects: rows };
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const projectAccess = auth.requireProjectAccess(pool, auth.projectFromParams);
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/stats:
+   *   get:
+   *     summary: Upload, storage and processing statistics for a project
+   *     description: |
+   *       `uploads` counts documents created per UTC day or week of the window. `sources` gives
+   *       the count, total and average size per source over all documents. `extraction` covers
+   *       the extraction attempts that finished within the window: how many succeeded or failed and
+   *       the mean time from entering `pending` to `processed`. `queue` is the current backlog;
+   *       `largest` and `oldest_pending` list the top documents.
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/StatsInterval'
+   *       - $ref: '#/components/parameters/StatsFrom'
+   *       - $ref: '#/components/parameters/StatsTo'
+   *       - in: query
+   *         name: top
+   *         description: How many documents to list in `largest` and `oldest_pending`
+   *         schema:
+   *           type: integer
+   *           default: 10
+   *           maximum: 50
+   *     responses:
+   *       200:
+   *         description: Project statistics
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *       400:
+   *         description: Invalid interval, window or top
+   */
+  router.get('/documents/project/:project_id/stats', projectAccess, async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+      const window = parseWindow(req.query);
+      const top = parseTop(req.query.top);
+      return res.json(await projectStats(pool, req.params.project_id, window, top));
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /admin/stats:
+   *   get:
+   *     summary: Pipeline statistics across all projects (admins only)
+   *     description: |
+   *       One entry per project with its document and queue counts, how many documents have been
+   *       stuck in `processing` past EXTRACTION_STALE_AFTER_MS (`stalled`), the oldest pending
+   *       document and the extraction outcomes within the window. Projects with stalled documents
+   *       come first, then those whose pending documents have waited longest. Requires the
+   *       caller's user id to be listed in ADMIN_USER_IDS.
+   *     parameters:
+   *       - $ref: '#/components/parameters/StatsInterval'
+   *       - $ref: '#/components/parameters/StatsFrom'
+   *       - $ref: '#/components/parameters/StatsTo'
+   *     responses:
+   *       200:
+   *         description: Statistics per project
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *       403:
+   *         description: Not an admin
+   */
+  router.get('/admin/stats', auth.requireAdmin(), async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+      return res.json(await adminStats(pool, parseWindow(req.query)));
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,64 @@
+const firebase = require('../firebase');
+
+// Firebase Storage driver. Objects live in the bucket under their key and the key
+// itself is what gets stored in `documents.file_path`.
+function file(key) {
+  return firebase.getBucket().file(key);
+}
+
+module.exports = {
+  name: 'firebase',
+
+  available() {
+    try {
+      firebase.getBucket();
+      return true;
+    } catch (err) {
+      return false;
+    }
+  },
+
+  async put(key, body, { contentType } = {}) {
+    const target = file(key);
+    await new Promise((resolve, reject) => {
+      const stream = target.createWriteStream({ metadata: { contentType } });
+      stream.on('error', reject);
+      stream.on('finish', resolve);
+      if (Buffer.isBuffer(body)) {
+        stream.end(body);
+      } else {
+        body.on('error', reject);
+        body.pipe(stream);
+      }
+    });
+    return { key, location: key };
+  },
+
+  getStream(key, { start, end } = {}) {
+    return file(key).createReadStream({ start, end });
+  },
+
+  async size(key) {
+    const [metadata] = await file(key).getMetadata();
+    return Number(metadata.size);
+  },
+
+  async delete(key) {
+    await file(key).delete({ ignoreNotFound: true });
+  },
+
+  async signedUrl(key, expiresIn = 3600) {
+    const [url] = await file(key).getSignedUrl({ action: 'read', expires: Date.now() + expiresIn * 1000 });
+    return url;
+  },
+
+  async exists(key) {
+    const [exists] = await file(key).exists();
+    return exists;
+  },
+
+  async check() {
+    const [exists] = await firebase.getBucket().exists();
+    if (!exists) throw new Error('Firebase Storage bucket does not exist');
+  },
+};
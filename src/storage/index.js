@@ -0,0 +1,63 @@
+require('dotenv').config();
+const firebase = require('./firebase');
+const supabase = require('./supabase');
+const local = require('./local');
+
+// Every driver exposes the same interface:
+//   put(key, buffer | stream, { contentType }) -> { key, location }
+//   getStream(key, { start, end }) -> Readable, limited to bytes start..end (inclusive) if given
+//   size(key) -> number of bytes
+//   delete(key)
+//   signedUrl(key, expiresInSeconds) -> url
+//   exists(key) -> boolean
+//   check()   throws unless the bucket (or directory) can be reached, for readiness probes
+// The driver's `name` and the key are persisted in `storage_provider` / `storage_key`;
+// `location` goes into `file_path`, which older clients still read.
+const drivers = { firebase, supabase, local };
+
+// STORAGE_DRIVER picks a single driver. The default `auto` keeps the original
+// behaviour: Firebase when it is initialised, otherwise Supabase.
+const configured = (process.env.STORAGE_DRIVER || 'auto').toLowerCase();
+if (configured !== 'auto' && !drivers[configured]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${configured}". Use one of: auto, ${Object.keys(drivers).join(', ')}`);
+}
+
+// Driver new objects are written to
+function primary() {
+  if (configured !== 'auto') return drivers[configured];
+  if (firebase.available()) return firebase;
+  if (supabase.available()) return supabase;
+  throw new Error('No storage configured. Set up Firebase or Supabase, or use STORAGE_DRIVER=local.');
+}
+
+// True when `auto` wrote to `driver` only because Firebase isn't available
+function isFallback(driver) {
+  return configured === 'auto' && driver !== firebase;
+}
+
+// Resolves which driver and key hold the object behind a `documents` or
+// `document_versions` row
+function locate(doc) {
+  if (doc.storage_provider) {
+    const driver = drivers[doc.storage_provider];
+    if (!driver) throw new Error(`Unknown storage provider "${doc.storage_provider}"`);
+    if (!doc.storage_key) throw new Error('Document has no storage_key');
+    return { driver, key: doc.storage_key };
+  }
+  return locateLegacy(doc);
+}
+
+// Rows written before storage_provider/storage_key existed, until `npm run repair-storage`
+// has filled them in: the provider is guessed from `file_path`
+function locateLegacy(doc) {
+  const supabaseKey = supabase.keyFromUrl(doc.file_path);
+  if (supabaseKey) return { driver: supabase, key: supabaseKey };
+
+  // Any other URL isn't one of our objects; rows created elsewhere (scraping) key by filename
+  const location = doc.file_path && !/^https?:\/\//i.test(doc.file_path) ? doc.file_path : doc.filename;
+  if (!location) throw new Error('Document has no file_path or filename');
+
+  return { driver: primary(), key: location.replace(/^\/+/, '') };
+}
+
+module.exports = { drivers, configured, primary, isFallback, locate, locateLegacy };
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+
+// Local-disk driver for running the service offline. Objects are plain files under
+// LOCAL_STORAGE_DIR and signed URLs point back at this service (see `router`).
+const ROUTE_PREFIX = '/storage/local';
+
+// Without a configured secret, signed URLs only stay valid for the life of the process
+const secret = process.env.LOCAL_STORAGE_SECRET || crypto.randomBytes(32).toString('hex');
+
+function rootDir() {
+  return path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+}
+
+function resolvePath(key) {
+  const root = rootDir();
+  const target = path.resolve(root, key);
+  if (!target.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return target;
+}
+
+function sign(key, expires) {
+  return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+}
+
+function verify(key, expires, signature) {
+  if (!signature || !(Number(expires) > Date.now())) return false;
+  const expected = Buffer.from(sign(key, expires));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Serves objects for URLs produced by `signedUrl`
+function router() {
+  const r = express.Router();
+  r.get(`${ROUTE_PREFIX}/:key`, (req, res) => {
+    const key = req.params.key;
+    if (!verify(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+    let target;
+    try {
+      target = resolvePath(key);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.sendFile(target, (err) => {
+      if (err && !res.headersSent) res.status(err.statusCode || 404).json({ error: 'file not found' });
+    });
+  });
+  return r;
+}
+
+module.exports = {
+  name: 'local',
+  router,
+
+  available() {
+    return true;
+  },
+
+  async put(key, body) {
+    const target = resolvePath(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(target, body, { flag: 'wx' });
+    } else {
+      await pipeline(body, fs.createWriteStream(target, { flags: 'wx' }));
+    }
+    return { key, location: key };
+  },
+
+  getStream(key, { start, end } = {}) {
+    return fs.createReadStream(resolvePath(key), { start, end });
+  },
+
+  async size(key) {
+    return (await fs.promises.stat(resolvePath(key))).size;
+  },
+
+  async delete(key) {
+    await fs.promises.rm(resolvePath(key), { force: true });
+  },
+
+  async signedUrl(key, expiresIn = 3600) {
+    const expires = Date.now() + expiresIn * 1000;
+    const base = (process.env.LOCAL_STORAGE_BASE_URL || '').replace(/\/$/, '');
+    return `${base}${ROUTE_PREFIX}/${encodeURIComponent(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+  },
+
+  async exists(key) {
+    try {
+      await fs.promises.access(resolvePath(key));
+      return true;
+    } catch (err) {
+      return false;
+    }
+  },
+
+  async check() {
+    await fs.promises.mkdir(rootDir(), { recursive: true });
+    await fs.promises.access(rootDir(), fs.constants.W_OK);
+  },
+};
@@ -0,0 +1,106 @@
+const { PassThrough, Readable, Transform } = require('stream');
+const supabase = require('../supabase');
+
+// Supabase Storage driver. Rows written through this driver keep the full public
+// URL of the object in `documents.file_path`, see `keyFromUrl` for the reverse.
+function bucketName() {
+  const bucket = process.env.SUPABASE_BUCKET;
+  if (!bucket) throw new Error('SUPABASE_BUCKET not configured');
+  return bucket;
+}
+
+function bucket() {
+  if (!supabase) throw new Error('Supabase Storage not configured. Set SUPABASE_URL and SUPABASE_KEY.');
+  return supabase.storage.from(bucketName());
+}
+
+// Supabase downloads always return the whole object, so ranges are cut out on our side
+function slice(start = 0, end = Infinity) {
+  let offset = 0;
+  return new Transform({
+    transform(chunk, encoding, cb) {
+      const from = Math.max(start - offset, 0);
+      const to = Math.min(end + 1 - offset, chunk.length);
+      offset += chunk.length;
+      cb(null, from < to ? chunk.subarray(from, to) : undefined);
+    },
+  });
+}
+
+function publicPrefix() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const name = process.env.SUPABASE_BUCKET;
+  if (!supabaseUrl || !name) return null;
+  return `${supabaseUrl.replace(/\/$/, '')}/storage/v1/object/public/${name}/`;
+}
+
+module.exports = {
+  name: 'supabase',
+
+  available() {
+    return Boolean(supabase && process.env.SUPABASE_BUCKET);
+  },
+
+  async put(key, body, { contentType } = {}) {
+    // Streams become the request body as they are; fetch only sends one with `duplex: 'half'`
+    const { error } = await bucket().upload(key, body, { contentType, upsert: false, duplex: 'half' });
+    if (error) throw error;
+    return { key, location: this.publicUrl(key) };
+  },
+
+  getStream(key, { start, end } = {}) {
+    const stream = new PassThrough();
+    bucket()
+      .download(key)
+      .then(({ data, error }) => {
+        if (error) throw error;
+        let body = Readable.fromWeb(data.stream()).on('error', (err) => stream.destroy(err));
+        if (start !== undefined || end !== undefined) body = body.pipe(slice(start, end));
+        body.pipe(stream);
+      })
+      .catch((err) => stream.destroy(err));
+    return stream;
+  },
+
+  async size(key) {
+    const { data, error } = await bucket().info(key);
+    if (error) throw error;
+    return Number(data.size);
+  },
+
+  async delete(key) {
+    const { error } = await bucket().remove([key]);
+    if (error) throw error;
+  },
+
+  async signedUrl(key, expiresIn = 3600) {
+    const { data, error } = await bucket().createSignedUrl(key, expiresIn);
+    if (error) throw error;
+    return data.signedUrl;
+  },
+
+  async exists(key) {
+    const { data, error } = await bucket().exists(key);
+    if (error && data !== false) throw error;
+    return Boolean(data);
+  },
+
+  // Listing needs no more rights than reading, unlike fetching the bucket's settings
+  async check() {
+    const { error } = await bucket().list('', { limit: 1 });
+    if (error) throw error;
+  },
+
+  publicUrl(key) {
+    const prefix = publicPrefix();
+    return prefix ? `${prefix}${encodeURIComponent(key)}` : null;
+  },
+
+  // Returns the object key for a public URL built by `publicUrl`, or null if the
+  // value isn't one of ours.
+  keyFromUrl(value) {
+    const prefix = publicPrefix();
+    if (!prefix || typeof value !== 'string' || !value.startsWith(prefix)) return null;
+    return decodeURIComponent(value.slice(prefix.length));
+  },
+};
@@ -1,5 +1,33 @@
 const swaggerJSDoc = require('swagger-jsdoc');
 
+// Query parameters of the project document list routes (see src/listing.js)
+const listFilters = {
+  source: { description: 'Comma-separated sources (e.g. Upload,Scrape)', schema: { type: 'string' } },
+  status: { description: 'Comma-separated statuses (e.g. processed,analysed)', schema: { type: 'string' } },
+  mimetype: { description: 'Comma-separated MIME types (e.g. application/pdf)', schema: { type: 'string' } },
+  created_after: { description: 'Only documents created at or after this ISO 8601 date', schema: { type: 'string', format: 'date-time' } },
+  created_before: { description: 'Only documents created before this ISO 8601 date', schema: { type: 'string', format: 'date-time' } },
+  category: { description: 'Comma-separated categories', schema: { type: 'string' } },
+  owner: { description: 'Comma-separated owners', schema: { type: 'string' } },
+  jurisdiction: { description: 'Comma-separated jurisdictions', schema: { type: 'string' } },
+  tags: { description: 'Comma-separated tags; documents must carry all of them', schema: { type: 'string' } },
+  expires_after: { description: 'Only documents expiring on or after this date (YYYY-MM-DD)', schema: { type: 'string', format: 'date' } },
+  expires_before: { description: 'Only documents expiring before this date (YYYY-MM-DD)', schema: { type: 'string', format: 'date' } },
+};
+const listPaging = {
+  sort: { schema: { type: 'string', enum: ['filename', 'created_at', 'status'], default: 'filename' } },
+  order: { schema: { type: 'string', enum: ['asc', 'desc'], default: 'asc' } },
+  limit: { schema: { type: 'integer', default: 50, maximum: 200 } },
+  cursor: { description: 'next_cursor from the previous page', schema: { type: 'string' } },
+};
+
+// A group of query parameters as one parameter: an object whose properties are exploded
+// into the query string (`?status=processed&limit=20`), so a route lists the group once
+function queryObject(name, params) {
+  const properties = Object.fromEntries(Object.entries(params).map(([key, { description, schema }]) => [key, { ...schema, description }]));
+  return { in: 'query', name, style: 'form', explode: true, schema: { type: 'object', properties } };
+}
+
 const options = {
   definition: {
     openapi: '3.0.0',
@@ -8,13 +36,37 @@ const options = {
       version: '1.0.0',
       description: 'API for uploading policy files to Firebase or Supabase Storage',
     },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Supabase access token or Firebase ID token, depending on AUTH_PROVIDER',
+        },
+      },
+      parameters: {
+        ListFilters: queryObject('filters', listFilters),
+        ListPaging: queryObject('paging', listPaging),
+        // One at a time, for routes that take only some of them (the trash list)
+        ...Object.fromEntries(Object.entries({ ...listFilters, ...listPaging }).map(([name, param]) => [
+          `List${name.replace(/(^|_)(\w)/g, (m, sep, c) => c.toUpperCase())}`,
+          { in: 'query', name, ...param },
+        ])),
+        // Time window of the stats routes (see src/stats.js)
+        StatsInterval: { in: 'query', name: 'interval', description: 'Bucket size of the upload series (UTC)', schema: { type: 'string', enum: ['day', 'week'], default: 'day' } },
+        StatsFrom: { in: 'query', name: 'from', description: 'Start of the window; defaults to 30 days (or 26 weeks) before `to`', schema: { type: 'string', format: 'date-time' } },
+        StatsTo: { in: 'query', name: 'to', description: 'End of the window, exclusive; defaults to now', schema: { type: 'string', format: 'date-time' } },
+      },
+    },
+    security: [{ bearerAuth: [] }],
     servers: [
       // Prefer explicit swagger server URL from environment (Render sets RENDER_EXTERNAL_URL),
       // otherwise fall back to localhost with the configured PORT.
       { url: process.env.SWAGGER_SERVER_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${process.env.PORT || 3000}`, description: 'API server' }
     ],
   },
-  apis: ['./src/server.js', './src/documents.js'],
+  apis: ['./src/app.js', './src/documents.js', './src/search.js', './src/versions.js', './src/export.js', './src/scrape.js', './src/webhooks.js', './src/content.js', './src/stats.js', './src/quotas.js', './src/resumable.js', './src/trash.js'],
 };
 
 const swaggerSpec = swaggerJSDoc(options);
@@ -0,0 +1,337 @@
+const express = require('express');
+const auth = require('./auth');
+const { HttpError } = require('./errors');
+const { listDocuments, SUMMARY_COLUMNS } = require('./listing');
+const lifecycle = require('./lifecycle');
+const retention = require('./retention');
+
+const TRASH_COLUMNS = `${SUMMARY_COLUMNS}, deleted_at, deleted_by, legal_hold, legal_hold_reason`;
+const MAX_REASON_LENGTH = 500;
+
+function parseReason(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') throw new HttpError(400, 'reason must be a string');
+  if (value.length > MAX_REASON_LENGTH) throw new HttpError(400, `reason must be at most ${MAX_REASON_LENGTH} characters`);
+  return value.trim() || null;
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const projectAccess = auth.requireProjectAccess(pool, auth.projectFromParams);
+  const documentAccess = auth.requireProjectAccess(pool, auth.projectFromDocument(pool));
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/trash:
+   *   get:
+   *     summary: List a project's trashed documents, a page at a time
+   *     description: |
+   *       Takes the same filters and paging as the project's document list; the default order is
+   *       `deleted_at`, so the documents purged next come first. `purge_after` is null for documents
+   *       that won't be purged automatically (legal hold, or no retention period). `retention` is the
+   *       project's rule.
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ListSource'
+   *       - $ref: '#/components/parameters/ListStatus'
+   *       - $ref: '#/components/parameters/ListCategory'
+   *       - $ref: '#/components/parameters/ListTags'
+   *       - in: query
+   *         name: sort
+   *         schema:
+   *           type: string
+   *           enum: [deleted_at, filename, created_at, status]
+   *           default: deleted_at
+   *       - $ref: '#/components/parameters/ListOrder'
+   *       - $ref: '#/components/parameters/ListLimit'
+   *       - $ref: '#/components/parameters/ListCursor'
+   *     responses:
+   *       200:
+   *         description: One page of trashed documents
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 documents:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                 next_cursor:
+   *                   type: string
+   *                   nullable: true
+   *                 retention:
+   *                   type: object
+   */
+  router.get('/documents/project/:project_id/trash', projectAccess, async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+      const projectId = req.params.project_id;
+      const page = await listDocuments(pool, projectId, req.query, { columns: TRASH_COLUMNS, sort: 'deleted_at', trashed: true });
+      const rule = await retention.projectRetention(pool, projectId);
+      page.documents = page.documents.map((doc) => ({ ...doc, purge_after: retention.purgeAfter(doc, rule) }));
+      return res.json({ ...page, retention: rule });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/{document_id}/restore:
+   *   post:
+   *     summary: Take a document out of the trash
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Document restored
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 document:
+   *                   type: object
+   *       404:
+   *         description: Document not found (it may have been purged)
+   *       409:
+   *         description: The document is not in the trash
+   */
+  router.post('/documents/:document_id/restore', documentAccess, async (req, res, next) => {
+    if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+    let client;
+    try {
+      const id = req.params.document_id;
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const { rows: current } = await client.query(`SELECT * FROM documents WHERE id = $1 FOR UPDATE`, [id]);
+      if (!current.length) throw new HttpError(404, 'document not found');
+      if (!current[0].deleted_at) throw new HttpError(409, 'The document is not in the trash');
+
+      const { rows } = await client.query(
+        `UPDATE documents SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING ${SUMMARY_COLUMNS}, legal_hold, legal_hold_reason`,
+        [id]
+      );
+      await lifecycle.recordEvent(client, {
+        documentId: id,
+        projectId: rows[0].project_id,
+        type: 'restored',
+        actor: req.user ? req.user.id : null,
+        details: { filename: rows[0].filename, deleted_at: current[0].deleted_at },
+      });
+      await client.query('COMMIT');
+      return res.json({ document: rows[0] });
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      return next(err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/{document_id}/legal-hold:
+   *   put:
+   *     summary: Place or lift a legal hold on a document
+   *     description: |
+   *       A document under legal hold is never purged, neither by the retention rule nor with
+   *       `DELETE ?permanent=true`; it can still be moved to and restored from the trash. Any project
+   *       member can place a hold; lifting one requires an admin (ADMIN_USER_IDS). Both are kept in
+   *       the document's history.
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - hold
+   *             properties:
+   *               hold:
+   *                 type: boolean
+   *               reason:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Hold updated
+   *       400:
+   *         description: hold is not a boolean
+   *       403:
+   *         description: Lifting a hold requires an admin
+   *       404:
+   *         description: Document not found
+   */
+  router.put('/documents/:document_id/legal-hold', documentAccess, async (req, res, next) => {
+    if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+    let client;
+    try {
+      const id = req.params.document_id;
+      const body = req.body || {};
+      if (typeof body.hold !== 'boolean') return res.status(400).json({ error: 'hold must be true or false' });
+      const reason = body.hold ? parseReason(body.reason) : null;
+
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const { rows: current } = await client.query(`SELECT * FROM documents WHERE id = $1 FOR UPDATE`, [id]);
+      if (!current.length) throw new HttpError(404, 'document not found');
+      const doc = current[0];
+      if (doc.legal_hold && !body.hold && !auth.isAdmin(req.user)) throw new HttpError(403, 'Only an admin can lift a legal hold');
+
+      const diff = {};
+      if (doc.legal_hold !== body.hold) diff.legal_hold = { from: doc.legal_hold, to: body.hold };
+      if (doc.legal_hold_reason !== reason) diff.legal_hold_reason = { from: doc.legal_hold_reason, to: reason };
+      let row = doc;
+      if (Object.keys(diff).length) {
+        const { rows } = await client.query(
+          `UPDATE documents SET legal_hold = $2, legal_hold_reason = $3 WHERE id = $1 RETURNING *`,
+          [id, body.hold, reason]
+        );
+        row = rows[0];
+        await lifecycle.recordEvent(client, {
+          documentId: id,
+          projectId: doc.project_id,
+          type: 'updated',
+          actor: req.user ? req.user.id : null,
+          details: { changes: diff },
+        });
+      }
+      await client.query('COMMIT');
+      return res.json({ document_id: id, legal_hold: row.legal_hold, legal_hold_reason: row.legal_hold_reason, deleted_at: row.deleted_at });
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      return next(err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/retention:
+   *   get:
+   *     summary: A project's retention rule for trashed documents
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: |
+   *           `trash_days` is how long trashed documents are kept before they are purged (null: until
+   *           purged by hand); `legal_hold` stops every purge in the project.
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 project_id:
+   *                   type: string
+   *                 trash_days:
+   *                   type: integer
+   *                   nullable: true
+   *                 legal_hold:
+   *                   type: boolean
+   *                 legal_hold_reason:
+   *                   type: string
+   *                   nullable: true
+   */
+  router.get('/documents/project/:project_id/retention', projectAccess, async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+      return res.json(await retention.projectRetention(pool, req.params.project_id));
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/retention:
+   *   put:
+   *     summary: Set a project's retention rule (admins only)
+   *     description: |
+   *       `trash_days` overrides TRASH_RETENTION_DAYS for the project (`null` restores the default,
+   *       `0` keeps trash until it is purged by hand). `legal_hold` puts the whole project on hold.
+   *       Fields left out keep their value.
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               trash_days:
+   *                 type: integer
+   *                 nullable: true
+   *               legal_hold:
+   *                 type: boolean
+   *               legal_hold_reason:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: The project's retention rule
+   *       400:
+   *         description: Invalid value
+   *       403:
+   *         description: Not an admin
+   */
+  router.put('/documents/project/:project_id/retention', auth.requireAdmin(), async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+      const body = req.body || {};
+      const projectId = req.params.project_id;
+      if (body.trash_days === undefined && body.legal_hold === undefined && body.legal_hold_reason === undefined) {
+        return res.status(400).json({ error: 'Provide trash_days, legal_hold and/or legal_hold_reason' });
+      }
+      if (body.trash_days !== undefined && body.trash_days !== null && (!Number.isInteger(body.trash_days) || body.trash_days < 0 || body.trash_days > 36500)) {
+        return res.status(400).json({ error: 'trash_days must be a whole number of days (0-36500) or null' });
+      }
+      if (body.legal_hold !== undefined && typeof body.legal_hold !== 'boolean') return res.status(400).json({ error: 'legal_hold must be true or false' });
+
+      const { rows: current } = await pool.query(`SELECT * FROM project_retention WHERE project_id = $1`, [projectId]);
+      const rule = { trash_days: null, legal_hold: false, legal_hold_reason: null, ...current[0] };
+      if (body.trash_days !== undefined) rule.trash_days = body.trash_days;
+      if (body.legal_hold !== undefined) rule.legal_hold = body.legal_hold;
+      if (body.legal_hold_reason !== undefined) rule.legal_hold_reason = parseReason(body.legal_hold_reason);
+      if (!rule.legal_hold) rule.legal_hold_reason = null;
+
+      await pool.query(
+        `INSERT INTO project_retention (project_id, trash_days, legal_hold, legal_hold_reason, updated_by) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (project_id) DO UPDATE SET trash_days = EXCLUDED.trash_days, legal_hold = EXCLUDED.legal_hold,
+           legal_hold_reason = EXCLUDED.legal_hold_reason, updated_by = EXCLUDED.updated_by, updated_at = now()`,
+        [projectId, rule.trash_days, rule.legal_hold, rule.legal_hold_reason, req.user ? req.user.id : null]
+      );
+      return res.json(await retention.projectRetention(pool, projectId));
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,151 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const multer = require('multer');
+const auth = require('./auth');
+const { storeFile, UPLOAD_MAX_BYTES } = require('./ingest');
+const { quotaStatus, setQuotaHeaders } = require('./usage');
+const { HttpError } = require('./errors');
+
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES, 10) || 100;
+const ARCHIVE_MAX_BYTES = parseInt(process.env.ARCHIVE_MAX_BYTES, 10) || 200 * 1024 * 1024;
+
+// busboy hands multer the filename decoded as latin1; browsers send UTF-8
+function decodeFilename(name) {
+  return Buffer.from(name, 'latin1').toString('utf8');
+}
+
+function isArchive(file, originalname) {
+  return path.extname(originalname).toLowerCase() === '.zip' || /zip/i.test(file.mimetype || '');
+}
+
+// Writes a ZIP to a temp file: unlike the policy files it needs random access to be read
+async function spoolArchive(stream) {
+  const target = path.join(os.tmpdir(), `policy-archive-${crypto.randomUUID()}.zip`);
+  try {
+    await pipeline(stream, fs.createWriteStream(target));
+    return target;
+  } catch (err) {
+    await fs.promises.rm(target, { force: true });
+    throw err;
+  }
+}
+
+function discardFile(file) {
+  const pending = [];
+  if (file.stored && !file.stored.recorded) pending.push(file.stored.driver.delete(file.stored.key));
+  if (file.archivePath) pending.push(fs.promises.rm(file.archivePath, { force: true }));
+  return Promise.all(pending);
+}
+
+// Checks, before anything reaches storage, that the form named the project ahead of the
+// file and that the caller may upload into it. Resolves to the project's quota status, so
+// `storeFile` also stops a file that can't fit before all of it is written.
+async function projectBeforeStore(pool, req) {
+  if (!pool) throw new HttpError(500, 'DATABASE_URL not configured');
+  const projectId = auth.projectFromBody(req);
+  if (!projectId) throw new HttpError(400, 'project_id is required, ahead of the file in the form');
+  if (!(await auth.canAccessProject(pool, req.user, projectId))) throw new HttpError(403, 'You do not have access to this project');
+  return quotaStatus(pool, projectId);
+}
+
+// Multer storage engine that streams each file through `storeFile` instead of
+// buffering it; the result is available as `req.file.stored`.
+function streamingStorage(pool) {
+  return {
+    _handleFile(req, file, cb) {
+      const originalname = decodeFilename(file.originalname);
+      projectBeforeStore(pool, req)
+        .then((quota) => storeFile(file.stream, { originalName: originalname, quota }))
+        .then((stored) => cb(null, { stored, originalname, size: stored.size_bytes, mimetype: stored.mimetype }))
+        .catch((err) => {
+          // Drain the rest of the part so busboy can finish parsing the request
+          file.stream.resume();
+          cb(err);
+        });
+    },
+
+    _removeFile(req, file, cb) {
+      discardFile(file).then(() => cb(null), cb);
+    },
+  };
+}
+
+// Engine for batch uploads: a file that fails validation doesn't fail the request, it is
+// kept as `req.files[i].error` so the batch can report it; a missing project or no access
+// to it does. ZIPs are spooled to `archivePath` and expanded by the route.
+function batchStorage(pool) {
+  return {
+    _handleFile(req, file, cb) {
+      const originalname = decodeFilename(file.originalname);
+      projectBeforeStore(pool, req).then((quota) => {
+        const handled = isArchive(file, originalname)
+          ? spoolArchive(file.stream).then((archivePath) => ({ archivePath }))
+          : storeFile(file.stream, { originalName: originalname, quota }).then((stored) => ({ stored, size: stored.size_bytes }));
+        handled
+          .then((info) => cb(null, { originalname, ...info }))
+          .catch((error) => {
+            file.stream.resume();
+            cb(null, { originalname, error });
+          });
+      }, (err) => {
+        file.stream.resume();
+        cb(err);
+      });
+    },
+
+    _removeFile(req, file, cb) {
+      discardFile(file).then(() => cb(null), cb);
+    },
+  };
+}
+
+const upload = (pool) => multer({ storage: streamingStorage(pool), limits: { fileSize: UPLOAD_MAX_BYTES } });
+
+// Single policy files are checked against UPLOAD_MAX_BYTES by `storeFile`; the multer
+// limit only has to stop oversized archives
+const batchUpload = (pool) => multer({
+  storage: batchStorage(pool),
+  limits: { fileSize: Math.max(UPLOAD_MAX_BYTES, ARCHIVE_MAX_BYTES), files: BATCH_MAX_FILES },
+});
+
+// Removes already stored files when the request ends in an error response (missing
+// project_id, no access, ...), so rejected uploads don't leave objects behind
+function discardOnFailure(req, res, next) {
+  res.on('finish', () => {
+    if (res.statusCode < 400) return;
+    const files = [].concat(req.file || [], Array.isArray(req.files) ? req.files : []);
+    for (const file of files) discardFile(file).catch(() => {});
+  });
+  next();
+}
+
+// Error middleware for upload routes: turns multer's limits into 413/400 HttpErrors and
+// leaves the response to the central error handler
+function uploadErrorHandler(maxBytes) {
+  return (err, req, res, next) => {
+    if (err.details && err.details.quota) setQuotaHeaders(res, err.details.quota);
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') return next(new HttpError(413, `File exceeds the ${maxBytes} byte upload limit`));
+      if (err.code === 'LIMIT_FILE_COUNT') return next(new HttpError(400, `A batch can contain at most ${BATCH_MAX_FILES} files`));
+      return next(new HttpError(400, err.message));
+    }
+    return next(err);
+  };
+}
+
+const handleUploadError = uploadErrorHandler(UPLOAD_MAX_BYTES);
+const handleBatchUploadError = uploadErrorHandler(ARCHIVE_MAX_BYTES);
+
+module.exports = {
+  upload,
+  batchUpload,
+  discardFile,
+  discardOnFailure,
+  handleUploadError,
+  handleBatchUploadError,
+  BATCH_MAX_FILES,
+};
@@ -0,0 +1,88 @@
+const { HttpError } = require('./errors');
+
+// Limits for projects without an override in `project_quotas`; unset or 0 means unlimited
+const PROJECT_MAX_DOCUMENTS = parseInt(process.env.PROJECT_MAX_DOCUMENTS, 10) || 0;
+const PROJECT_MAX_BYTES = parseInt(process.env.PROJECT_MAX_BYTES, 10) || 0;
+
+// Separate from the migration lock (see migrate.js); the second key is the project
+const QUOTA_LOCK = 4021790;
+
+function limit(override, fallback) {
+  const value = override == null ? fallback : Number(override);
+  return value > 0 ? value : null;
+}
+
+// The project's limits, null where there is none
+async function projectQuota(db, projectId) {
+  const { rows } = await db.query(`SELECT max_documents, max_bytes FROM project_quotas WHERE project_id = $1`, [projectId]);
+  const override = rows[0] || {};
+  return {
+    max_documents: limit(override.max_documents, PROJECT_MAX_DOCUMENTS),
+    max_bytes: limit(override.max_bytes, PROJECT_MAX_BYTES),
+  };
+}
+
+// Documents and stored bytes of a project. Every version keeps its own object, so all of them
+// count; rollbacks point at an existing object and don't.
+async function projectUsage(db, projectId) {
+  const { rows } = await db.query(
+    `SELECT (SELECT COUNT(*) FROM documents WHERE project_id = $1)::int AS documents,
+       (SELECT COALESCE(SUM(v.size_bytes), 0) FROM document_versions v JOIN documents d ON d.id = v.document_id
+        WHERE d.project_id = $1 AND v.restored_from IS NULL)::float8 AS bytes`,
+    [projectId]
+  );
+  return rows[0];
+}
+
+function describe(usage, quota) {
+  const remaining = (max, used) => (max === null ? null : Math.max(max - used, 0));
+  return {
+    ...usage,
+    ...quota,
+    remaining_documents: remaining(quota.max_documents, usage.documents),
+    remaining_bytes: remaining(quota.max_bytes, usage.bytes),
+  };
+}
+
+// Usage next to the limits, as shown by the summary and quota routes
+async function quotaStatus(db, projectId) {
+  const [usage, quota] = await Promise.all([projectUsage(db, projectId), projectQuota(db, projectId)]);
+  return describe(usage, quota);
+}
+
+/**
+ * Checks that a file of `bytes` (and, for `newDocument`, one more document) fits the
+ * project's quota, throwing a 507 HttpError if it doesn't. Must run inside the transaction
+ * that records the file: it holds a per-project lock until then, so concurrent uploads
+ * can't both take the last of the quota. Resolves to the quota status including the file,
+ * or null when the project has no limits.
+ */
+async function reserveQuota(client, projectId, { bytes = 0, newDocument = false }) {
+  const quota = await projectQuota(client, projectId);
+  if (quota.max_documents === null && quota.max_bytes === null) return null;
+
+  await client.query(`SELECT pg_advisory_xact_lock($1, hashtext($2))`, [QUOTA_LOCK, String(projectId)]);
+  const usage = await projectUsage(client, projectId);
+  if (newDocument && quota.max_documents !== null && usage.documents + 1 > quota.max_documents) {
+    throw new HttpError(507, 'The project has reached its document quota', { quota: describe(usage, quota) });
+  }
+  if (quota.max_bytes !== null && usage.bytes + (Number(bytes) || 0) > quota.max_bytes) {
+    throw new HttpError(507, 'The file does not fit in the project\'s storage quota', { quota: describe(usage, quota) });
+  }
+  return describe({ documents: usage.documents + (newDocument ? 1 : 0), bytes: usage.bytes + (Number(bytes) || 0) }, quota);
+}
+
+// X-Quota-* headers for the limits the project has
+function setQuotaHeaders(res, status) {
+  if (!status) return;
+  if (status.max_documents !== null) {
+    res.set('X-Quota-Documents-Limit', String(status.max_documents));
+    res.set('X-Quota-Documents-Remaining', String(status.remaining_documents));
+  }
+  if (status.max_bytes !== null) {
+    res.set('X-Quota-Bytes-Limit', String(status.max_bytes));
+    res.set('X-Quota-Bytes-Remaining', String(status.remaining_bytes));
+  }
+}
+
+module.exports = { PROJECT_MAX_DOCUMENTS, PROJECT_MAX_BYTES, projectQuota, projectUsage, quotaStatus, reserveQuota, setQuotaHeaders };
@@ -0,0 +1,222 @@
+const express = require('express');
+const storage = require('./storage');
+const auth = require('./auth');
+const { addVersion } = require('./ingest');
+
+// Version rows are returned without the internal storage location
+const VERSION_COLUMNS = `version, filename, size_bytes, checksum, mimetype, uploaded_by, restored_from, created_at`;
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const documentAccess = auth.requireProjectAccess(pool, auth.projectFromDocument(pool));
+
+  // Versions of trashed documents are out of reach until the document is restored
+  async function loadVersion(documentId, version) {
+    const { rows } = await pool.query(
+      `SELECT v.* FROM document_versions v JOIN documents d ON d.id = v.document_id
+       WHERE v.document_id = $1 AND v.version = $2 AND d.deleted_at IS NULL`,
+      [documentId, version]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * @openapi
+   * /documents/{document_id}/versions:
+   *   get:
+   *     summary: List a document's version history, or the version in force on a date
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: at
+   *         description: ISO date/time; returns only the version that was current at that moment
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *     responses:
+   *       200:
+   *         description: Versions, newest first (or the single version in force when `at` is given)
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 document_id:
+   *                   type: string
+   *                 current_version:
+   *                   type: integer
+   *                 versions:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                 version:
+   *                   type: object
+   *       400:
+   *         description: Invalid `at` date
+   *       404:
+   *         description: Document not found, or no version existed at `at`
+   */
+  router.get('/documents/:document_id/versions', documentAccess, async (req, res, next) => {
+    try {
+      const id = req.params.document_id;
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const { rows: docs } = await pool.query(`SELECT id, current_version FROM documents WHERE id = $1 AND deleted_at IS NULL`, [id]);
+      if (!docs.length) return res.status(404).json({ error: 'document not found' });
+      const doc = docs[0];
+
+      if (req.query.at !== undefined) {
+        const at = new Date(req.query.at);
+        if (Number.isNaN(at.getTime())) return res.status(400).json({ error: 'at must be an ISO date' });
+        // Rollbacks are recorded as new versions, so the latest version created by `at` was the one in force
+        const { rows } = await pool.query(
+          `SELECT ${VERSION_COLUMNS} FROM document_versions WHERE document_id = $1 AND created_at <= $2 ORDER BY version DESC LIMIT 1`,
+          [id, at]
+        );
+        if (!rows.length) return res.status(404).json({ error: 'no version of this document existed at that time' });
+        return res.json({ document_id: doc.id, at: at.toISOString(), version: rows[0] });
+      }
+
+      const { rows } = await pool.query(
+        `SELECT ${VERSION_COLUMNS} FROM document_versions WHERE document_id = $1 ORDER BY version DESC`,
+        [id]
+      );
+      return res.json({ document_id: doc.id, current_version: doc.current_version, versions: rows });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/{document_id}/versions/{version}/preview:
+   *   get:
+   *     summary: Retrieve a preview URL for a specific version of a document
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: version
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Preview URL returned
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 preview_url:
+   *                   type: string
+   *       404:
+   *         description: Version not found
+   */
+  router.get('/documents/:document_id/versions/:version/preview', documentAccess, async (req, res, next) => {
+    try {
+      const version = parseInt(req.params.version, 10);
+      if (!Number.isInteger(version)) return res.status(400).json({ error: 'version must be an integer' });
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const row = await loadVersion(req.params.document_id, version);
+      if (!row) return res.status(404).json({ error: 'version not found' });
+
+      const { driver, key } = storage.locate(row);
+      return res.json({ preview_url: await driver.signedUrl(key, 3600) });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/{document_id}/versions/{version}/rollback:
+   *   post:
+   *     summary: Make an earlier version current again
+   *     description: Recorded as a new version pointing at the earlier file, so the history shows when the rollback happened.
+   *     parameters:
+   *       - in: path
+   *         name: document_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: version
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Rollback recorded
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 document:
+   *                   type: object
+   *                 version:
+   *                   type: object
+   *       400:
+   *         description: Version is already current
+   *       404:
+   *         description: Document or version not found
+   */
+  router.post('/documents/:document_id/versions/:version/rollback', documentAccess, async (req, res, next) => {
+    const version = parseInt(req.params.version, 10);
+    if (!Number.isInteger(version)) return res.status(400).json({ error: 'version must be an integer' });
+    if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const { rows: docs } = await client.query(`SELECT * FROM documents WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [req.params.document_id]);
+      const { rows: versions } = await client.query(
+        `SELECT * FROM document_versions WHERE document_id = $1 AND version = $2`,
+        [req.params.document_id, version]
+      );
+      if (!docs.length || !versions.length) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: docs.length ? 'version not found' : 'document not found' });
+      }
+      if (docs[0].current_version === version) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: `version ${version} is already current` });
+      }
+
+      const target = versions[0];
+      const result = await addVersion(client, docs[0], {
+        filename: target.filename,
+        file_path: target.file_path,
+        storage_provider: target.storage_provider,
+        storage_key: target.storage_key,
+        size_bytes: target.size_bytes,
+        checksum: target.checksum,
+        mimetype: target.mimetype,
+        uploaded_by: req.user ? req.user.id : null,
+        restored_from: target.version,
+      });
+      await client.query('COMMIT');
+
+      const { file_path, storage_provider, storage_key, ...created } = result.version;
+      return res.json({ document: result.document, version: created });
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      return next(err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const auth = require('./auth');
+const { HttpError } = require('./errors');
+const { parseTarget } = require('./fetcher');
+const { WEBHOOK_EVENTS, ALLOW_PRIVATE } = require('./deliveries');
+
+// Webhooks are listed without their signing secret, which is only shown once on creation
+const WEBHOOK_COLUMNS = `id, project_id, url, events, active, created_by, created_at`;
+const DELIVERY_COLUMNS = `id, webhook_id, event, payload, status, attempts, last_status_code, last_error, next_attempt_at, delivered_at, replay_of, created_at`;
+const DELIVERY_STATUSES = ['pending', 'sending', 'succeeded', 'failed'];
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const projectAccess = auth.requireProjectAccess(pool, auth.projectFromParams);
+
+  async function loadWebhook(projectId, webhookId) {
+    // Compared as text so a malformed id is simply not found
+    const { rows } = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id::text = $1 AND project_id = $2`, [webhookId, projectId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/webhooks:
+   *   post:
+   *     summary: Register a webhook for a project's document events
+   *     description: |
+   *       Each event is POSTed to `url` as JSON with the headers `X-Webhook-Event`, `X-Webhook-Delivery`
+   *       and `X-Webhook-Signature: t=<unix seconds>,v1=<hex>`, where the hex is the HMAC-SHA256 of
+   *       `<t>.<raw body>` keyed with the webhook's secret. Deliveries that fail are retried with
+   *       exponential backoff. The secret is only returned by this call.
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - url
+   *             properties:
+   *               url:
+   *                 type: string
+   *               events:
+   *                 type: array
+   *                 description: Defaults to all events
+   *                 items:
+   *                   type: string
+   *                   enum: [document.uploaded, document.processed, document.failed, document.deleted, document.restored, document.purged]
+   *     responses:
+   *       201:
+   *         description: Webhook registered
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 webhook:
+   *                   type: object
+   *                   properties:
+   *                     id:
+   *                       type: string
+   *                     url:
+   *                       type: string
+   *                     events:
+   *                       type: array
+   *                       items:
+   *                         type: string
+   *                     secret:
+   *                       type: string
+   *       400:
+   *         description: Invalid URL or unknown event
+   */
+  router.post('/documents/project/:project_id/webhooks', projectAccess, async (req, res, next) => {
+    try {
+      const projectId = req.params.project_id;
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const body = req.body || {};
+      if (typeof body.url !== 'string' || !body.url.trim()) return res.status(400).json({ error: 'url is required' });
+      const url = parseTarget(body.url.trim(), ALLOW_PRIVATE).href;
+
+      const events = body.events === undefined ? WEBHOOK_EVENTS : body.events;
+      if (!Array.isArray(events) || !events.length) return res.status(400).json({ error: 'events must be a non-empty array' });
+      const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown events: ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}` });
+      }
+
+      const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+      const { rows } = await pool.query(
+        `INSERT INTO webhooks (id, project_id, url, secret, events, created_by) VALUES ($1,$2,$3,$4,$5,$6) RETURNING ${WEBHOOK_COLUMNS}`,
+        [uuidv4(), projectId, url, secret, [...new Set(events)], req.user ? req.user.id : null]
+      );
+      return res.status(201).json({ webhook: { ...rows[0], secret } });
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(400).json({ error: err.message });
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/webhooks:
+   *   get:
+   *     summary: List a project's webhooks
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Webhooks, without their secrets
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 webhooks:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   */
+  router.get('/documents/project/:project_id/webhooks', projectAccess, async (req, res, next) => {
+    try {
+      const projectId = req.params.project_id;
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const { rows } = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE project_id = $1 ORDER BY created_at`, [projectId]);
+      return res.json({ webhooks: rows });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/webhooks/{webhook_id}:
+   *   delete:
+   *     summary: Remove a webhook and its delivery log
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: webhook_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Webhook removed
+   *       404:
+   *         description: Webhook not found
+   */
+  router.delete('/documents/project/:project_id/webhooks/:webhook_id', projectAccess, async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const { rowCount } = await pool.query(`DELETE FROM webhooks WHERE id::text = $1 AND project_id = $2`, [req.params.webhook_id, req.params.project_id]);
+      if (!rowCount) return res.status(404).json({ error: 'webhook not found' });
+      return res.json({ webhook_id: req.params.webhook_id, message: 'webhook deleted' });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/webhooks/{webhook_id}/deliveries:
+   *   get:
+   *     summary: A webhook's delivery log, newest first
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: webhook_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, sending, succeeded, failed]
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 50
+   *     responses:
+   *       200:
+   *         description: Deliveries with their attempt count and last response
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 deliveries:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *       404:
+   *         description: Webhook not found
+   */
+  router.get('/documents/project/:project_id/webhooks/:webhook_id/deliveries', projectAccess, async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const status = req.query.status;
+      if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const webhook = await loadWebhook(req.params.project_id, req.params.webhook_id);
+      if (!webhook) return res.status(404).json({ error: 'webhook not found' });
+
+      const { rows } = await pool.query(
+        `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries
+         WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)
+         ORDER BY id DESC LIMIT $3`,
+        [webhook.id, status || null, limit]
+      );
+      return res.json({ webhook_id: webhook.id, deliveries: rows });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /**
+   * @openapi
+   * /documents/project/{project_id}/webhooks/{webhook_id}/deliveries/{delivery_id}/replay:
+   *   post:
+   *     summary: Send a finished delivery again
+   *     description: Queues a new delivery with the same payload (and the same `id` inside it, so receivers can tell it is a repeat); the original stays in the log.
+   *     parameters:
+   *       - in: path
+   *         name: project_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: webhook_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: delivery_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       202:
+   *         description: Replay queued
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 delivery:
+   *                   type: object
+   *       404:
+   *         description: Webhook or delivery not found
+   *       409:
+   *         description: The delivery is still pending or being sent
+   */
+  router.post('/documents/project/:project_id/webhooks/:webhook_id/deliveries/:delivery_id/replay', projectAccess, async (req, res, next) => {
+    try {
+      if (!pool) return res.status(500).json({ error: 'DATABASE_URL not configured' });
+
+      const webhook = await loadWebhook(req.params.project_id, req.params.webhook_id);
+      const deliveryId = parseInt(req.params.delivery_id, 10);
+      if (!webhook || Number.isNaN(deliveryId)) return res.status(404).json({ error: 'delivery not found' });
+
+      const { rows: found } = await pool.query(`SELECT * FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2`, [deliveryId, webhook.id]);
+      if (!found.length) return res.status(404).json({ error: 'delivery not found' });
+      const original = found[0];
+      if (original.status === 'pending' || original.status === 'sending') {
+        return res.status(409).json({ error: `delivery is still ${original.status}` });
+      }
+
+      const { rows } = await pool.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event, payload, replay_of) VALUES ($1,$2,$3,$4) RETURNING ${DELIVERY_COLUMNS}`,
+        [webhook.id, original.event, JSON.stringify(original.payload), original.id]
+      );
+      return res.status(202).json({ delivery: rows[0] });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  return router;
+};
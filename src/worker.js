@@ -0,0 +1,140 @@
+require('dotenv').config();
+const storage = require('./storage');
+const { extractText } = require('./extract');
+const { sha256 } = require('./ingest');
+const { recordEvent } = require('./lifecycle');
+const { logger } = require('./logger');
+
+const BATCH_SIZE = parseInt(process.env.EXTRACTION_BATCH_SIZE, 10) || 5;
+const INTERVAL_MS = parseInt(process.env.EXTRACTION_INTERVAL_MS, 10) || 10000;
+// Rows left in `processing` longer than this (e.g. after a crash) are picked up again
+const STALE_AFTER_MS = parseInt(process.env.EXTRACTION_STALE_AFTER_MS, 10) || 15 * 60 * 1000;
+const MAX_BYTES = parseInt(process.env.EXTRACTION_MAX_BYTES, 10) || 50 * 1024 * 1024;
+
+async function readObject(doc) {
+  const { driver, key } = storage.locate(doc);
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of driver.getStream(key)) {
+    size += chunk.length;
+    if (size > MAX_BYTES) throw new Error(`File exceeds extraction limit of ${MAX_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Claims up to `limit` pending rows by moving them to `processing`. SKIP LOCKED lets
+// several workers run against the same table without picking the same rows. Each move
+// is written to the document's history in the same statement (no webhook listens for
+// `processing`, so recordEvent isn't needed here).
+async function claim(pool, limit) {
+  const q = `WITH picked AS (
+      SELECT id, status FROM documents
+      WHERE deleted_at IS NULL
+        AND (lower(status) = 'pending'
+          OR (lower(status) = 'processing' AND processing_started_at < now() - ($2 || ' milliseconds')::interval))
+      ORDER BY created_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    ), claimed AS (
+      UPDATE documents d SET status = 'processing', processing_started_at = now(), processing_error = NULL
+      FROM picked WHERE d.id = picked.id
+      RETURNING d.*, picked.status AS previous_status
+    ), logged AS (
+      INSERT INTO document_events (document_id, project_id, type, from_status, to_status)
+      SELECT id, project_id, 'status_changed', previous_status, 'processing' FROM claimed
+    )
+    SELECT * FROM claimed`;
+  const { rows } = await pool.query(q, [limit, String(STALE_AFTER_MS)]);
+  return rows.map(({ previous_status, ...doc }) => doc);
+}
+
+// Moves a claimed document on from `processing` and logs it. A row that left
+// `processing` meanwhile (a new version, a manual transition) is left alone.
+async function finish(pool, doc, status, sets, params, details = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `UPDATE documents SET status = $${params.length + 2}, ${sets} WHERE id = $1 AND status = 'processing' RETURNING project_id`,
+      [doc.id, ...params, status]
+    );
+    if (rows.length) {
+      await recordEvent(client, { documentId: doc.id, projectId: rows[0].project_id, type: 'status_changed', fromStatus: 'processing', toStatus: status, details });
+    }
+    await client.query('COMMIT');
+    return rows.length > 0;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function processDocument(pool, doc) {
+  try {
+    const buffer = await readObject(doc);
+    const text = await extractText(buffer, { filename: doc.filename });
+    // Rows created outside /upload (scraping) have no checksum yet; fill it in while we have the bytes
+    await finish(pool, doc, 'processed', 'document_content = $2, processing_error = NULL, checksum = COALESCE(checksum, $3)', [text, sha256(buffer)]);
+    return { id: doc.id, status: 'processed' };
+  } catch (err) {
+    await finish(pool, doc, 'failed', 'processing_error = $2', [err.message], { error: err.message });
+    return { id: doc.id, status: 'failed', error: err.message };
+  }
+}
+
+// Runs one pass over pending documents and returns the per-document outcome
+async function processPending(pool, limit = BATCH_SIZE) {
+  const docs = await claim(pool, limit);
+  const results = [];
+  for (const doc of docs) results.push(await processDocument(pool, doc));
+  return results;
+}
+
+/**
+ * Polls for pending documents every EXTRACTION_INTERVAL_MS until `stop()` is called.
+ * A pass that found a full batch is followed immediately by another one.
+ */
+function startWorker(pool, { interval = INTERVAL_MS, batchSize = BATCH_SIZE } = {}) {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    let results = [];
+    try {
+      results = await processPending(pool, batchSize);
+      for (const r of results) {
+        if (r.status === 'failed') logger.warn('Extraction failed', { document_id: r.id, error: r.error });
+      }
+    } catch (err) {
+      logger.error('Extraction worker error', { err });
+    }
+    if (stopped) return;
+    timer = setTimeout(tick, results.length === batchSize ? 0 : interval);
+  };
+
+  timer = setTimeout(tick, 0);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+module.exports = { processPending, processDocument, startWorker, STALE_AFTER_MS };
+
+// `npm run worker` runs the extraction worker on its own, without the HTTP API
+if (require.main === module) {
+  const { createPool } = require('./db');
+  if (!process.env.DATABASE_URL) {
+    logger.error('DATABASE_URL not configured');
+    process.exit(1);
+  }
+  const pool = createPool();
+  startWorker(pool);
+  logger.info('Extraction worker started');
+}
@@ -0,0 +1,495 @@
+const crypto = require('crypto');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const helpers = require('./helpers');
+const worker = require('../src/worker');
+
+const UNKNOWN_ID = '00000000-0000-0000-0000-000000000000';
+
+describe('documents routes', () => {
+  let db;
+  let app;
+
+  before(async () => {
+    db = await helpers.createDatabase();
+    await helpers.addMember(db.pool, 'p1', 'alice');
+    await helpers.addMember(db.pool, 'p2', 'alice');
+    await helpers.addMember(db.pool, 'p3', 'bob');
+    app = helpers.createApp(db.pool);
+  });
+
+  after(() => db && db.drop());
+
+  beforeEach(async () => {
+    helpers.resetStorage();
+    await db.pool.query('TRUNCATE documents, document_versions, document_events, project_retention');
+  });
+
+  const as = (user) => {
+    const auth = (req) => req.set('Authorization', helpers.bearer(user));
+    return {
+      get: (url) => auth(request(app).get(url)),
+      patch: (url) => auth(request(app).patch(url)),
+      post: (url) => auth(request(app).post(url)),
+      delete: (url) => auth(request(app).delete(url)),
+    };
+  };
+  const alice = as('alice');
+
+  async function uploadDocument(name, content, fields = {}) {
+    const req = alice.post('/upload').field('project_id', 'p1');
+    for (const [field, value] of Object.entries(fields)) req.field(field, value);
+    const res = await req.attach('file', Buffer.from(content), name);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.document;
+  }
+
+  async function insertDocument(fields) {
+    const row = { id: crypto.randomUUID(), project_id: 'p1', filename: 'row.txt', source: 'Upload', status: 'pending', ...fields };
+    const columns = Object.keys(row);
+    const { rows } = await db.pool.query(
+      `INSERT INTO documents (${columns.join(', ')}) VALUES (${columns.map((c, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+      Object.values(row)
+    );
+    return rows[0];
+  }
+
+  describe('GET /documents/project/:project_id', () => {
+    it('lists the project documents without their text', async () => {
+      const doc = await uploadDocument('policy.txt', 'policy text');
+      await insertDocument({ project_id: 'p2' });
+
+      const res = await alice.get('/documents/project/p1');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.documents.map((d) => d.id), [doc.id]);
+      assert.equal(res.body.documents[0].document_content, undefined);
+      assert.equal(res.body.next_cursor, null);
+    });
+
+    it('pages through the documents', async () => {
+      for (const name of ['a.txt', 'b.txt', 'c.txt']) await uploadDocument(name, name);
+
+      const first = await alice.get('/documents/project/p1?limit=2');
+      const second = await alice.get(`/documents/project/p1?limit=2&cursor=${encodeURIComponent(first.body.next_cursor)}`);
+
+      assert.equal(first.body.documents.length, 2);
+      assert.equal(second.body.documents.length, 1);
+      assert.equal(second.body.next_cursor, null);
+    });
+
+    it('rejects invalid filters', async () => {
+      const res = await alice.get('/documents/project/p1?sort=nope');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'bad_request');
+    });
+
+    it('is limited to project members', async () => {
+      const res = await as('bob').get('/documents/project/p1');
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('project views', () => {
+    it('lists uploads and other sources only under upload-or-other', async () => {
+      const uploaded = await uploadDocument('policy.txt', 'uploaded');
+      const other = await insertDocument({ source: 'Other' });
+      await insertDocument({ source: 'scrape' });
+
+      const res = await alice.get('/documents/project/p1/upload-or-other');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.documents.map((d) => d.id).sort(), [uploaded.id, other.id].sort());
+    });
+
+    it('lists scraped documents under scraped', async () => {
+      await uploadDocument('policy.txt', 'uploaded');
+      const scraped = await insertDocument({ source: 'scrape', source_url: 'https://example.test/privacy' });
+
+      const res = await alice.get('/documents/project/p1/scraped');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.documents.map((d) => d.id), [scraped.id]);
+    });
+
+    it('lists processed documents under processed', async () => {
+      await uploadDocument('policy.txt', 'pending');
+      const processed = await insertDocument({ status: 'processed' });
+
+      const res = await alice.get('/documents/project/p1/processed');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.documents.map((d) => d.id), [processed.id]);
+    });
+
+    it('groups documents with the same checksum under duplicates', async () => {
+      const doc = await uploadDocument('policy.txt', 'the same text');
+      const copy = await insertDocument({ filename: 'copy.txt', checksum: doc.checksum });
+      await insertDocument({ filename: 'legacy.txt' });
+
+      const res = await alice.get('/documents/project/p1/duplicates');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.duplicates.length, 1);
+      assert.equal(res.body.duplicates[0].count, 2);
+      assert.deepEqual(res.body.duplicates[0].documents.map((d) => d.id), [doc.id, copy.id]);
+      assert.equal(res.body.unchecked, 1);
+    });
+
+    it('counts documents by source and status under summary', async () => {
+      await uploadDocument('policy.txt', 'pending');
+      await insertDocument({ status: 'processed' });
+      await insertDocument({ source: 'scrape', status: 'analysed' });
+
+      const res = await alice.get('/documents/project/p1/summary');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.total, 3);
+      assert.equal(res.body.total_processed, 1);
+      assert.equal(res.body.total_analysed, 1);
+      assert.deepEqual(res.body.sources.Upload, { status: { pending: 1, processed: 1 }, total: 2 });
+      assert.equal(res.body.usage.documents, 3);
+    });
+
+    it('lists documents expiring within the window under expiring', async () => {
+      const soon = await insertDocument({ expiry_date: new Date(Date.now() + 10 * 86400000).toISOString().slice(0, 10) });
+      await insertDocument({ expiry_date: new Date(Date.now() + 90 * 86400000).toISOString().slice(0, 10) });
+      await insertDocument({ expiry_date: '2000-01-01' });
+
+      const res = await alice.get('/documents/project/p1/expiring?within=2w');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.within_days, 14);
+      assert.deepEqual(res.body.documents.map((d) => d.id), [soon.id]);
+      assert.equal(res.body.documents[0].days_left, 10);
+    });
+
+    it('rejects an invalid expiring window', async () => {
+      const res = await alice.get('/documents/project/p1/expiring?within=soon');
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /documents/scrape/:document_id', () => {
+    it('returns a signed preview URL from the document storage', async () => {
+      const doc = await uploadDocument('policy.txt', 'preview me');
+
+      const res = await alice.get(`/documents/scrape/${doc.id}`);
+
+      assert.equal(res.status, 200);
+      assert.match(res.body.preview_url, /^https:\/\/storage\.googleapis\.test\/policy-file\/.+\?expires=\d+$/);
+    });
+
+    it('signs Supabase objects through Supabase', async () => {
+      helpers.firebase.state.available = false;
+      const doc = await uploadDocument('policy.txt', 'preview me');
+
+      const res = await alice.get(`/documents/scrape/${doc.id}`);
+
+      assert.equal(res.status, 200);
+      assert.match(res.body.preview_url, /^https:\/\/project\.supabase\.test\/storage\/v1\/object\/sign\/policies\//);
+    });
+
+    it('answers 502 when the storage cannot sign a URL', async () => {
+      const doc = await uploadDocument('policy.txt', 'preview me');
+      helpers.firebase.state.available = false;
+
+      const res = await alice.get(`/documents/scrape/${doc.id}`);
+
+      assert.equal(res.status, 502);
+      assert.equal(res.body.error, 'Failed to generate preview URL');
+    });
+
+    it('answers 404 for unknown documents', async () => {
+      const res = await alice.get(`/documents/scrape/${UNKNOWN_ID}`);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /documents/:document_id', () => {
+    it('returns the document, with its text only when asked for', async () => {
+      const doc = await insertDocument({ document_content: 'extracted text' });
+
+      const plain = await alice.get(`/documents/${doc.id}`);
+      const withContent = await alice.get(`/documents/${doc.id}?include_content=true`);
+
+      assert.equal(plain.status, 200);
+      assert.equal(plain.body.document.id, doc.id);
+      assert.equal(plain.body.document.has_content, true);
+      assert.equal(plain.body.document.document_content, undefined);
+      assert.equal(withContent.body.document.document_content, 'extracted text');
+    });
+
+    it('answers 404 for unknown and trashed documents', async () => {
+      const trashed = await insertDocument({ deleted_at: new Date() });
+
+      assert.equal((await alice.get(`/documents/${UNKNOWN_ID}`)).status, 404);
+      assert.equal((await alice.get(`/documents/${trashed.id}`)).status, 404);
+    });
+
+    it('answers 400 for ids that are not UUIDs', async () => {
+      const res = await alice.get('/documents/not-a-uuid');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'invalid_input');
+    });
+
+    it('is limited to members of the document project', async () => {
+      const doc = await insertDocument({});
+      const res = await as('bob').get(`/documents/${doc.id}`);
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('PATCH /documents/:document_id', () => {
+    it('updates the fields and records the change', async () => {
+      const doc = await insertDocument({});
+
+      const res = await alice.patch(`/documents/${doc.id}`).send({ filename: 'renamed.txt', project_id: 'p2' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.document.filename, 'renamed.txt');
+      assert.equal(res.body.document.project_id, 'p2');
+      const history = await alice.get(`/documents/${doc.id}/history`);
+      assert.deepEqual(history.body.events.at(-1).details.changes.filename, { from: 'row.txt', to: 'renamed.txt' });
+    });
+
+    it('answers with the document as GET shows it', async () => {
+      const doc = await insertDocument({ document_content: 'extracted text' });
+
+      const changed = await alice.patch(`/documents/${doc.id}`).send({ filename: 'renamed.txt' });
+      const unchanged = await alice.patch(`/documents/${doc.id}`).send({ filename: 'renamed.txt' });
+      const shown = await alice.get(`/documents/${doc.id}`);
+
+      assert.deepEqual(changed.body.document, shown.body.document);
+      assert.deepEqual(unchanged.body.document, shown.body.document);
+      assert.equal(changed.body.document.document_content, undefined);
+      assert.equal(changed.body.document.has_content, true);
+    });
+
+    it('moves the status along the lifecycle only', async () => {
+      const doc = await insertDocument({ status: 'pending' });
+
+      const res = await alice.patch(`/documents/${doc.id}`).send({ status: 'analysed' });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'conflict');
+      assert.deepEqual(res.body.allowed, ['processing', 'failed', 'archived']);
+    });
+
+    it('starts processing the way a transition does, so the worker can reclaim the document', async () => {
+      const doc = await uploadDocument('policy.txt', 'a policy the worker never finished');
+
+      const res = await alice.patch(`/documents/${doc.id}`).send({ status: 'processing' });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.document.processing_started_at);
+      await db.pool.query(
+        `UPDATE documents SET processing_started_at = now() - ($2 || ' milliseconds')::interval WHERE id = $1`,
+        [doc.id, String(worker.STALE_AFTER_MS + 60 * 1000)]
+      );
+      assert.deepEqual(await worker.processPending(db.pool), [{ id: doc.id, status: 'processed' }]);
+    });
+
+    it('clears the processing error when the status goes back to pending', async () => {
+      const doc = await insertDocument({ status: 'failed', processing_error: 'could not read the file' });
+
+      const res = await alice.patch(`/documents/${doc.id}`).send({ status: 'pending' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.document.status, 'pending');
+      assert.equal(res.body.document.processing_error, null);
+    });
+
+    it('rejects empty and missing fields', async () => {
+      const doc = await insertDocument({});
+
+      const empty = await alice.patch(`/documents/${doc.id}`).send({ filename: ' ' });
+      const none = await alice.patch(`/documents/${doc.id}`).send({ checksum: 'abc' });
+
+      assert.equal(empty.status, 400);
+      assert.equal(empty.body.error, 'filename must be a non-empty string');
+      assert.equal(none.status, 400);
+    });
+
+    it('rejects moves into projects that have no room for the document', async () => {
+      const doc = await uploadDocument('policy.txt', 'moving policy');
+      await insertDocument({ project_id: 'p2' });
+      await db.pool.query(`INSERT INTO project_quotas (project_id, max_documents) VALUES ('p2', 1)`);
+      try {
+        const full = await alice.patch(`/documents/${doc.id}`).send({ project_id: 'p2' });
+
+        assert.equal(full.status, 507);
+        assert.equal(full.body.code, 'quota_exceeded');
+        assert.equal(full.get('X-Quota-Documents-Remaining'), '0');
+        assert.equal((await alice.get(`/documents/${doc.id}`)).body.document.project_id, 'p1');
+
+        await db.pool.query(`UPDATE project_quotas SET max_documents = 2, max_bytes = 10 WHERE project_id = 'p2'`);
+        const tooLarge = await alice.patch(`/documents/${doc.id}`).send({ project_id: 'p2' });
+        assert.equal(tooLarge.status, 507);
+        assert.equal(tooLarge.body.error, 'The file does not fit in the project\'s storage quota');
+
+        await db.pool.query(`UPDATE project_quotas SET max_bytes = NULL WHERE project_id = 'p2'`);
+        const moved = await alice.patch(`/documents/${doc.id}`).send({ project_id: 'p2' });
+        assert.equal(moved.status, 200);
+        assert.equal(moved.get('X-Quota-Documents-Remaining'), '0');
+      } finally {
+        await db.pool.query(`DELETE FROM project_quotas WHERE project_id = 'p2'`);
+      }
+    });
+
+    it('rejects moves into projects the caller cannot access', async () => {
+      const doc = await insertDocument({});
+      const res = await alice.patch(`/documents/${doc.id}`).send({ project_id: 'p3' });
+      assert.equal(res.status, 403);
+    });
+
+    it('answers 404 for unknown documents', async () => {
+      const res = await alice.patch(`/documents/${UNKNOWN_ID}`).send({ filename: 'x.txt' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PATCH /documents/:document_id/metadata', () => {
+    it('sets metadata and edits tags', async () => {
+      const doc = await insertDocument({ tags: ['gdpr', 'eu'] });
+
+      const res = await alice.patch(`/documents/${doc.id}/metadata`).send({ category: 'Privacy', add_tags: ['ccpa'], remove_tags: ['eu'] });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.document.category, 'Privacy');
+      assert.deepEqual(res.body.document.tags, ['gdpr', 'ccpa']);
+    });
+
+    it('checks new dates against the stored ones', async () => {
+      const doc = await insertDocument({ effective_date: '2030-01-01' });
+
+      const res = await alice.patch(`/documents/${doc.id}/metadata`).send({ expiry_date: '2029-12-31' });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'expiry_date must not be before effective_date');
+    });
+
+    it('rejects tags together with add_tags, and empty bodies', async () => {
+      const doc = await insertDocument({});
+
+      assert.equal((await alice.patch(`/documents/${doc.id}/metadata`).send({ tags: ['a'], add_tags: ['b'] })).status, 400);
+      assert.equal((await alice.patch(`/documents/${doc.id}/metadata`).send({})).status, 400);
+    });
+
+    it('answers 404 for unknown documents', async () => {
+      const res = await alice.patch(`/documents/${UNKNOWN_ID}/metadata`).send({ owner: 'legal' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('POST /documents/:document_id/transition', () => {
+    it('moves the document and returns the event', async () => {
+      const doc = await insertDocument({ status: 'processed' });
+
+      const res = await alice.post(`/documents/${doc.id}/transition`).send({ status: 'Analyzed', reason: 'Reviewed by legal' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.document.status, 'analysed');
+      assert.equal(res.body.event.type, 'status_changed');
+      assert.equal(res.body.event.from_status, 'processed');
+      assert.deepEqual(res.body.event.details, { reason: 'Reviewed by legal' });
+    });
+
+    it('answers 409 for moves the lifecycle does not allow', async () => {
+      const doc = await insertDocument({ status: 'analysed' });
+
+      const res = await alice.post(`/documents/${doc.id}/transition`).send({ status: 'processed' });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.status, 'analysed');
+    });
+
+    it('rejects missing and unknown statuses', async () => {
+      const doc = await insertDocument({});
+
+      assert.equal((await alice.post(`/documents/${doc.id}/transition`).send({})).status, 400);
+      assert.equal((await alice.post(`/documents/${doc.id}/transition`).send({ status: 'done' })).status, 400);
+      assert.equal((await alice.post(`/documents/${doc.id}/transition`).send({ status: 'failed', reason: 1 })).status, 400);
+    });
+
+    it('answers 404 for unknown documents', async () => {
+      const res = await alice.post(`/documents/${UNKNOWN_ID}/transition`).send({ status: 'failed' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /documents/:document_id/history', () => {
+    it('lists the events of the document in order', async () => {
+      const doc = await uploadDocument('policy.txt', 'version one');
+      await uploadDocument('policy.txt', 'version two');
+      await alice.post(`/documents/${doc.id}/transition`).send({ status: 'failed' });
+
+      const res = await alice.get(`/documents/${doc.id}/history`);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.events.map((e) => e.type), ['created', 'version_added', 'status_changed']);
+      assert.equal(res.body.events[0].actor, 'alice');
+    });
+
+    it('answers 404 for unknown documents', async () => {
+      const res = await alice.get(`/documents/${UNKNOWN_ID}/history`);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('DELETE /documents/:document_id', () => {
+    it('moves the document to the trash and keeps the file', async () => {
+      const doc = await uploadDocument('policy.txt', 'to be trashed');
+
+      const res = await alice.delete(`/documents/${doc.id}`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'document moved to trash');
+      assert.ok(res.body.purge_after);
+      assert.equal((await alice.get(`/documents/${doc.id}`)).status, 404);
+      assert.equal((await alice.delete(`/documents/${doc.id}`)).status, 404);
+      assert.equal(helpers.firebase.state.objects.size, 1);
+    });
+
+    it('removes the document and every stored version with permanent=true', async () => {
+      const doc = await uploadDocument('policy.txt', 'version one');
+      await uploadDocument('policy.txt', 'version two');
+      assert.equal(helpers.firebase.state.objects.size, 2);
+
+      const res = await alice.delete(`/documents/${doc.id}?permanent=true`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'document deleted');
+      assert.equal(helpers.firebase.state.objects.size, 0);
+      const history = await alice.get(`/documents/${doc.id}/history`);
+      assert.equal(history.status, 404);
+    });
+
+    it('refuses to purge documents under legal hold', async () => {
+      const doc = await insertDocument({ legal_hold: true });
+
+      const res = await alice.delete(`/documents/${doc.id}?permanent=true`);
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error, 'The document is under legal hold');
+    });
+
+    it('answers 404 for unknown documents', async () => {
+      assert.equal((await alice.delete(`/documents/${UNKNOWN_ID}`)).status, 404);
+      assert.equal((await alice.delete(`/documents/${UNKNOWN_ID}?permanent=true`)).status, 404);
+    });
+  });
+});
+
+describe('documents routes without a working database', () => {
+  it('answers 500 with a generic message when queries fail', async () => {
+    const res = await request(helpers.createApp(helpers.brokenPool()))
+      .get('/documents/project/p1')
+      .set('Authorization', helpers.bearer('alice'));
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.code, 'database_error');
+    assert.equal(res.body.error, 'Database error');
+  });
+});
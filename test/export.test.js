@@ -0,0 +1,88 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const yauzl = require('yauzl');
+const helpers = require('./helpers');
+
+// Collects the response body as a Buffer
+function binary(res, cb) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => cb(null, Buffer.concat(chunks)));
+}
+
+// The archive's entries as { name: content }
+function unzip(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (err, zip) => {
+      if (err) return reject(err);
+      const files = {};
+      zip.on('entry', (entry) => {
+        zip.openReadStream(entry, (openErr, stream) => {
+          if (openErr) return reject(openErr);
+          const chunks = [];
+          stream.on('data', (chunk) => chunks.push(chunk));
+          stream.on('end', () => {
+            files[entry.fileName] = Buffer.concat(chunks).toString();
+            zip.readEntry();
+          });
+          return undefined;
+        });
+      });
+      zip.on('end', () => resolve(files));
+      zip.on('error', reject);
+      zip.readEntry();
+      return undefined;
+    });
+  });
+}
+
+describe('GET /documents/project/:project_id/export', () => {
+  let db;
+  let app;
+
+  before(async () => {
+    db = await helpers.createDatabase();
+    await helpers.addMember(db.pool, 'p1', 'alice');
+    app = helpers.createApp(db.pool);
+  });
+
+  after(() => db && db.drop());
+
+  beforeEach(async () => {
+    helpers.resetStorage();
+    await db.pool.query('TRUNCATE documents, document_versions, document_events');
+  });
+
+  const upload = async (name, content) => {
+    const res = await request(app)
+      .post('/upload')
+      .set('Authorization', helpers.bearer('alice'))
+      .field('project_id', 'p1')
+      .attach('file', Buffer.from(content), name);
+    assert.equal(res.status, 200);
+    return res.body;
+  };
+
+  it('archives the files one at a time, with the manifest', async () => {
+    await upload('a.txt', 'first policy');
+    await upload('b.txt', 'second policy');
+    const missing = await upload('c.txt', 'third policy');
+    helpers.firebase.state.objects.delete(missing.name);
+
+    const res = await request(app)
+      .get('/documents/project/p1/export')
+      .set('Authorization', helpers.bearer('alice'))
+      .buffer(true)
+      .parse(binary);
+
+    assert.equal(res.status, 200);
+    const files = await unzip(res.body);
+    assert.equal(files['files/a.txt'], 'first policy');
+    assert.equal(files['files/b.txt'], 'second policy');
+    const manifest = JSON.parse(files['manifest.json']);
+    assert.deepEqual(manifest.documents.map((d) => [d.filename, d.file]), [['a.txt', 'files/a.txt'], ['b.txt', 'files/b.txt'], ['c.txt', null]]);
+    assert.equal(helpers.firebase.state.maxReading, 1);
+    assert.equal(helpers.firebase.state.reading, 0);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const archiver = require('archiver');
+const filetype = require('../src/filetype');
+const { extractText, SUPPORTED_TYPES } = require('../src/extract');
+
+// An ODT holding `body` (the content of <office:text>) in its content.xml
+async function odt(body) {
+  const archive = archiver('zip');
+  const chunks = [];
+  archive.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+  archive.append(filetype.TYPES.odt.mime, { name: 'mimetype', store: true });
+  archive.append(
+    '<?xml version="1.0" encoding="UTF-8"?><office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" '
+      + 'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"><office:automatic-styles><style:style style:name="P1"/></office:automatic-styles>'
+      + `<office:body><office:text>${body}</office:text></office:body></office:document-content>`,
+    { name: 'content.xml' }
+  );
+  await archive.finalize();
+  await done;
+  return Buffer.concat(chunks);
+}
+
+describe('extractText', () => {
+  it('reads every format accepted for upload', () => {
+    assert.deepEqual(Object.keys(filetype.TYPES).filter((type) => !SUPPORTED_TYPES.includes(type)), []);
+  });
+
+  it('reads the paragraphs of an ODT', async () => {
+    const file = await odt(
+      '<text:h text:outline-level="1">Privacy &amp; Cookies</text:h>'
+        + '<text:p text:style-name="P1">We keep<text:s text:c="2"/>data<text:tab/>for <text:span>30 days</text:span>.</text:p>'
+        + '<text:p/><text:p>Contact:<text:line-break/>dpo@example.test &#8212; EU</text:p>'
+    );
+    assert.equal(filetype.detect(file.subarray(0, filetype.SNIFF_BYTES), 'policy.odt'), 'odt');
+
+    const text = await extractText(file, { filename: 'policy.odt' });
+
+    assert.equal(text, 'Privacy & Cookies\nWe keep  data\tfor 30 days.\n\nContact:\ndpo@example.test — EU');
+  });
+
+  it('fails for a DOC that is not a Word document', async () => {
+    const ole = Buffer.concat([Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), Buffer.alloc(504)]);
+    await assert.rejects(extractText(ole, { filename: 'policy.doc' }));
+  });
+});
@@ -0,0 +1,153 @@
+const { Readable, Writable } = require('stream');
+
+// In-memory stand-ins for the Firebase Admin and Supabase SDK objects the storage drivers
+// talk to. Flags on `state` make a fake fail the way the real service would; `reset()` empties
+// the bucket and clears them. The Firebase fake also counts the read streams open at once
+// (`reading`, `maxReading`).
+
+// Replaces src/firebase.js: `getBucket()` throws like an uninitialised SDK while
+// `available` is false
+function fakeFirebase() {
+  const defaults = { available: true, failWrites: false, unreachable: false, reading: 0, maxReading: 0 };
+  const state = { ...defaults, objects: new Map() };
+
+  const file = (key) => ({
+    createWriteStream() {
+      const chunks = [];
+      return new Writable({
+        write(chunk, encoding, cb) {
+          if (state.failWrites) return cb(new Error('firebase: 503 Service Unavailable'));
+          chunks.push(chunk);
+          return cb();
+        },
+        final(cb) {
+          state.objects.set(key, Buffer.concat(chunks));
+          cb();
+        },
+      });
+    },
+    createReadStream({ start = 0, end } = {}) {
+      const body = state.objects.get(key);
+      if (!body) {
+        const missing = new Error(`No such object: ${key}`);
+        missing.code = 404;
+        return new Readable({ read() { this.destroy(missing); } });
+      }
+      state.reading += 1;
+      state.maxReading = Math.max(state.maxReading, state.reading);
+      return Readable.from([body.subarray(start, end === undefined ? undefined : end + 1)]).on('close', () => {
+        state.reading -= 1;
+      });
+    },
+    async getMetadata() {
+      if (!state.objects.has(key)) throw Object.assign(new Error(`No such object: ${key}`), { code: 404 });
+      return [{ size: String(state.objects.get(key).length) }];
+    },
+    async delete() {
+      state.objects.delete(key);
+    },
+    async getSignedUrl({ expires }) {
+      return [`https://storage.googleapis.test/policy-file/${encodeURIComponent(key)}?expires=${expires}`];
+    },
+    async exists() {
+      return [state.objects.has(key)];
+    },
+  });
+
+  const bucket = {
+    file,
+    async exists() {
+      if (state.unreachable) throw new Error('firebase: getaddrinfo ENOTFOUND storage.googleapis.com');
+      return [true];
+    },
+  };
+
+  const module = {
+    getBucket() {
+      if (!state.available) throw new Error('Firebase Storage not initialized. Set FIREBASE_SERVICE_ACCOUNT or FIREBASE_SERVICE_ACCOUNT_PATH.');
+      return bucket;
+    },
+    getAuth() {
+      throw new Error('Firebase auth is not used by the tests');
+    },
+    initialized: () => state.available,
+  };
+
+  const reset = () => {
+    Object.assign(state, defaults);
+    state.objects.clear();
+  };
+
+  return { module, state, reset };
+}
+
+// Replaces src/supabase.js, which exports the client (or null)
+function fakeSupabase() {
+  const defaults = { failUploads: false, unreachable: false, buffered: 0 };
+  const state = { ...defaults, objects: new Map() };
+  const result = (data, error = null) => ({ data, error });
+  const notFound = () => result(null, Object.assign(new Error('Object not found'), { status: 404 }));
+
+  const bucket = {
+    // Like fetch, takes a stream as the body only with `duplex: 'half'`; `buffered` counts
+    // uploads that were handed over whole
+    async upload(key, body, { duplex } = {}) {
+      if (state.failUploads) return result(null, new Error('supabase: upload failed with status 500'));
+      if (state.objects.has(key)) return result(null, new Error('The resource already exists'));
+      if (Buffer.isBuffer(body)) {
+        state.buffered += 1;
+        state.objects.set(key, body);
+        return result({ path: key });
+      }
+      if (duplex !== 'half') return result(null, new TypeError('RequestInit: duplex option is required when sending a body'));
+      const chunks = [];
+      try {
+        for await (const chunk of body) chunks.push(chunk);
+      } catch (err) {
+        return result(null, err);
+      }
+      state.objects.set(key, Buffer.concat(chunks));
+      return result({ path: key });
+    },
+    async download(key) {
+      const body = state.objects.get(key);
+      return body ? result(new Blob([body])) : notFound();
+    },
+    async info(key) {
+      const body = state.objects.get(key);
+      return body ? result({ size: body.length }) : notFound();
+    },
+    async remove(keys) {
+      for (const key of keys) state.objects.delete(key);
+      return result([]);
+    },
+    async createSignedUrl(key, expiresIn) {
+      return result({ signedUrl: `https://project.supabase.test/storage/v1/object/sign/policies/${encodeURIComponent(key)}?expires_in=${expiresIn}` });
+    },
+    async exists(key) {
+      return result(state.objects.has(key));
+    },
+    async list() {
+      if (state.unreachable) return result(null, new Error('supabase: fetch failed'));
+      return result([]);
+    },
+  };
+
+  const module = {
+    storage: { from: () => bucket },
+    auth: {
+      async getUser() {
+        return result(null, new Error('Supabase auth is not used by the tests'));
+      },
+    },
+  };
+
+  const reset = () => {
+    Object.assign(state, defaults);
+    state.objects.clear();
+  };
+
+  return { module, state, reset };
+}
+
+module.exports = { fakeFirebase, fakeSupabase };
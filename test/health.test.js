@@ -0,0 +1,126 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const helpers = require('./helpers');
+
+describe('health checks with a database', () => {
+  let db;
+  let app;
+
+  before(async () => {
+    db = await helpers.createDatabase();
+    app = helpers.createApp(db.pool);
+  });
+
+  after(() => db && db.drop());
+
+  beforeEach(() => helpers.resetStorage());
+
+  it('GET /health reports the database and the migrations', async () => {
+    const res = await request(app).get('/health');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.database, 'connected');
+    assert.equal(res.body.migrations.pending, 0);
+    assert.equal(res.body.migrations.current, res.body.migrations.latest);
+    assert.deepEqual(res.body.storage, { driver: 'auto', firebase: 'initialized', supabase: 'configured' });
+  });
+
+  it('GET /health/ready is ready when the database and Firebase answer', async () => {
+    const res = await request(app).get('/health/ready');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.checks.database.status, 'ok');
+    assert.equal(res.body.checks.storage.driver, 'firebase');
+    assert.equal(res.body.checks.storage.status, 'ok');
+  });
+
+  it('GET /health/ready is not ready when Firebase cannot be reached', async () => {
+    helpers.firebase.state.unreachable = true;
+
+    const res = await request(app).get('/health/ready');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, 'unavailable');
+    assert.equal(res.body.checks.database.status, 'ok');
+    assert.deepEqual(Object.keys(res.body.checks.storage).sort(), ['driver', 'latency_ms', 'status']);
+    assert.equal(res.body.checks.storage.status, 'error');
+  });
+
+  it('GET /health/ready checks Supabase when uploads fall back to it', async () => {
+    helpers.firebase.state.available = false;
+    assert.equal((await request(app).get('/health/ready')).body.checks.storage.driver, 'supabase');
+
+    helpers.supabase.state.unreachable = true;
+    const res = await request(app).get('/health/ready');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.checks.storage.driver, 'supabase');
+    assert.equal(res.body.checks.storage.status, 'error');
+  });
+});
+
+describe('health checks without a database', () => {
+  beforeEach(() => helpers.resetStorage());
+
+  it('GET /health answers 503 without the error text when the database is down', async () => {
+    const res = await request(helpers.createApp(helpers.brokenPool())).get('/health');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, 'degraded');
+    assert.equal(res.body.database, 'error');
+    assert.doesNotMatch(JSON.stringify(res.body), /administrator command/);
+  });
+
+  it('GET /health reports a missing DATABASE_URL', async () => {
+    const res = await request(helpers.createApp(null)).get('/health');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.database, 'not configured');
+  });
+
+  it('GET /health/ready is not ready without a database', async () => {
+    const broken = await request(helpers.createApp(helpers.brokenPool())).get('/health/ready');
+    const missing = await request(helpers.createApp(null)).get('/health/ready');
+
+    assert.equal(broken.status, 503);
+    assert.equal(broken.body.checks.database.status, 'error');
+    assert.equal(missing.status, 503);
+    assert.equal(missing.body.checks.database.status, 'not configured');
+  });
+
+  it('GET /health/live needs neither the database nor storage', async () => {
+    helpers.firebase.state.unreachable = true;
+
+    const res = await request(helpers.createApp(helpers.brokenPool())).get('/health/live');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(typeof res.body.uptime_seconds, 'number');
+  });
+
+  it('GET /metrics serves the Prometheus metrics without a token', async () => {
+    const app = helpers.createApp(null);
+    await request(app).get('/health/live');
+
+    const res = await request(app).get('/metrics');
+
+    assert.equal(res.status, 200);
+    assert.match(res.get('Content-Type'), /^text\/plain/);
+    assert.match(res.text, /^http_requests_total\{method="GET",route="\/health\/live",status="200"\} \d+$/m);
+  });
+
+  it('answers unknown routes with a JSON 404 after authentication', async () => {
+    const app = helpers.createApp(null);
+
+    const anonymous = await request(app).get('/no-such-route');
+    const signedIn = await request(app).get('/no-such-route').set('Authorization', helpers.bearer('alice'));
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(signedIn.status, 404);
+    assert.equal(signedIn.body.code, 'not_found');
+    assert.equal(signedIn.body.request_id, signedIn.get('X-Request-Id'));
+  });
+});
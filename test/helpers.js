@@ -0,0 +1,98 @@
+// Shared setup for the integration tests; require it before anything under src/. It fixes
+// the configuration the app reads at load time and swaps the Firebase and Supabase SDK
+// modules for the in-memory fakes, so the real storage drivers run against them.
+const crypto = require('crypto');
+const path = require('path');
+const Module = require('module');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const { fakeFirebase, fakeSupabase } = require('./fakes');
+
+const JWT_SECRET = 'test-secret';
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: 'auto',
+  SUPABASE_URL: 'https://project.supabase.test',
+  SUPABASE_KEY: 'test-key',
+  SUPABASE_BUCKET: 'policies',
+  AUTH_PROVIDER: 'supabase',
+  SUPABASE_JWT_SECRET: JWT_SECRET,
+  ADMIN_USER_IDS: 'admin',
+  UPLOAD_MAX_BYTES: String(64 * 1024),
+  RATE_LIMIT_IP_MAX: '0',
+  RATE_LIMIT_USER_MAX: '0',
+  LOG_LEVEL: 'silent',
+});
+
+const firebase = fakeFirebase();
+const supabase = fakeSupabase();
+
+function replaceModule(file, exports) {
+  const filename = path.join(__dirname, '..', 'src', file);
+  const replacement = new Module(filename);
+  replacement.filename = filename;
+  replacement.loaded = true;
+  replacement.exports = exports;
+  require.cache[filename] = replacement;
+}
+
+replaceModule('firebase.js', firebase.module);
+replaceModule('supabase.js', supabase.module);
+
+const { createApp } = require('../src/app');
+const { migrate } = require('../src/migrate');
+
+// The suites need a Postgres database they may create schemas in
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+/**
+ * Migrates a schema of its own in TEST_DATABASE_URL and returns a pool whose connections
+ * use it; `drop()` ends the pool and removes the schema. Without TEST_DATABASE_URL the
+ * suite fails rather than being skipped, so a run that tested nothing doesn't pass.
+ */
+async function createDatabase() {
+  if (!DATABASE_URL) {
+    throw new Error('TEST_DATABASE_URL is not set; the tests need a Postgres database they can create schemas in');
+  }
+  const schema = `test_${crypto.randomBytes(6).toString('hex')}`;
+  const admin = new Pool({ connectionString: DATABASE_URL });
+  await admin.query(`CREATE SCHEMA ${schema}`);
+  await admin.end();
+
+  const pool = new Pool({ connectionString: DATABASE_URL, options: `-c search_path=${schema}` });
+  await migrate(pool, { log: () => {} });
+
+  return {
+    pool,
+    async drop() {
+      await pool.end();
+      const cleanup = new Pool({ connectionString: DATABASE_URL });
+      await cleanup.query(`DROP SCHEMA ${schema} CASCADE`);
+      await cleanup.end();
+    },
+  };
+}
+
+async function addMember(pool, projectId, userId) {
+  await pool.query(`INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, 'member')`, [projectId, userId]);
+}
+
+// `Authorization` header value for a user, signed the way Supabase signs access tokens
+function bearer(userId) {
+  return `Bearer ${jwt.sign({ sub: userId, email: `${userId}@example.test` }, JWT_SECRET)}`;
+}
+
+// A pool whose queries all fail like a Postgres server that went away
+function brokenPool() {
+  const fail = async () => {
+    throw Object.assign(new Error('terminating connection due to administrator command'), { code: '57P01', severity: 'FATAL' });
+  };
+  return { query: fail, connect: fail };
+}
+
+function resetStorage() {
+  firebase.reset();
+  supabase.reset();
+}
+
+module.exports = { createApp, createDatabase, addMember, bearer, brokenPool, resetStorage, firebase, supabase };
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const http = require('http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const helpers = require('./helpers');
+
+const FILE = Buffer.from('A resumable policy, sent in two chunks.\n');
+const CHECKSUM = crypto.createHash('sha256').update(FILE).digest('hex');
+
+describe('resumable uploads', () => {
+  let db;
+  let server;
+
+  before(async () => {
+    db = await helpers.createDatabase();
+    await helpers.addMember(db.pool, 'p1', 'alice');
+    server = helpers.createApp(db.pool).listen(0);
+  });
+
+  after(async () => {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (db) await db.drop();
+  });
+
+  beforeEach(() => helpers.resetStorage());
+
+  const api = (method, url) => request(server)[method](url).set('Authorization', helpers.bearer('alice'));
+
+  const start = async () => {
+    const res = await api('post', '/uploads').send({ project_id: 'p1', filename: 'resumable.txt', size: FILE.length, checksum: CHECKSUM });
+    assert.equal(res.status, 201);
+    return res.body.upload_id;
+  };
+
+  const sendChunk = (id, offset, chunk) => api('patch', `/uploads/${id}`)
+    .set('Content-Type', 'application/offset+octet-stream')
+    .set('Upload-Offset', String(offset))
+    .send(chunk);
+
+  // Starts a chunk whose body stops after `sent`; `finish(rest)` sends the rest and
+  // resolves to the response
+  function stalledChunk(id, offset, sent, total) {
+    const req = http.request({
+      port: server.address().port,
+      method: 'PATCH',
+      path: `/uploads/${id}`,
+      headers: {
+        Authorization: helpers.bearer('alice'),
+        'Content-Type': 'application/offset+octet-stream',
+        'Content-Length': String(total),
+        'Upload-Offset': String(offset),
+      },
+    });
+    const response = new Promise((resolve, reject) => {
+      req.on('response', (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks)) }));
+      });
+      req.on('error', reject);
+    });
+    req.write(sent);
+    return {
+      finish(rest) {
+        req.end(rest);
+        return response;
+      },
+    };
+  }
+
+  // Waits, for at most two seconds, until a request holds the session's lease
+  async function leased(id) {
+    for (let i = 0; i < 100; i += 1) {
+      const { rows } = await db.pool.query(`SELECT lease_id FROM upload_sessions WHERE id = $1`, [id]);
+      if (rows[0].lease_id) return;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    assert.fail('the session was not leased');
+  }
+
+  it('stores the file once all chunks arrived and it is completed', async () => {
+    const id = await start();
+
+    const first = await sendChunk(id, 0, FILE.subarray(0, 10));
+    const second = await sendChunk(id, 10, FILE.subarray(10));
+    const done = await api('post', `/uploads/${id}/complete`).send({});
+
+    assert.equal(first.body.offset, 10);
+    assert.equal(second.body.offset, FILE.length);
+    assert.equal(done.status, 200);
+    assert.equal(done.body.message, 'upload successfully');
+    assert.deepEqual(helpers.firebase.state.objects.get(done.body.name), FILE);
+  });
+
+  it('holds no database connection while a chunk is arriving', async () => {
+    const id = await start();
+    const chunk = stalledChunk(id, 0, FILE.subarray(0, 5), 20);
+
+    await leased(id);
+    const busy = await sendChunk(id, 0, FILE.subarray(0, 20));
+    assert.equal(busy.status, 409);
+    assert.equal(busy.body.error, 'The upload is busy with another request');
+    assert.equal((await api('delete', `/uploads/${id}`)).status, 409);
+    assert.equal(db.pool.totalCount - db.pool.idleCount, 0);
+    assert.equal((await api('get', `/uploads/${id}`)).body.offset, 0);
+
+    const res = await chunk.finish(FILE.subarray(5, 20));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.offset, 20);
+
+    // The lease is given up with the response
+    assert.equal((await sendChunk(id, 20, FILE.subarray(20))).status, 200);
+    assert.equal((await api('delete', `/uploads/${id}`)).status, 204);
+  });
+
+  it('does not acknowledge a chunk whose lease was taken over', async () => {
+    const id = await start();
+    const chunk = stalledChunk(id, 0, FILE.subarray(0, 5), 10);
+    await leased(id);
+
+    // As if the lease had run out and another request had claimed the session
+    await db.pool.query(`UPDATE upload_sessions SET lease_id = $2 WHERE id = $1`, [id, crypto.randomUUID()]);
+    const res = await chunk.finish(FILE.subarray(5, 10));
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, 'The upload was taken over by another request');
+    const { rows } = await db.pool.query(`SELECT received_bytes::int AS received FROM upload_sessions WHERE id = $1`, [id]);
+    assert.equal(rows[0].received, 0);
+  });
+
+  it('answers 404 for unknown uploads', async () => {
+    assert.equal((await sendChunk(crypto.randomUUID(), 0, 'x')).status, 404);
+    assert.equal((await sendChunk('not-a-uuid', 0, 'x')).status, 404);
+  });
+});
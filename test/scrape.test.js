@@ -0,0 +1,190 @@
+const http = require('http');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+// The fixture server listens on loopback, which the scraper only talks to when allowed.
+// The limits are read when the scraper is loaded, so they are set before the app is.
+process.env.SCRAPE_ALLOW_PRIVATE = 'true';
+process.env.SCRAPE_DELAY_MS = '200';
+process.env.SCRAPE_MAX_URLS = '4';
+process.env.SCRAPE_TIME_BUDGET_MS = '2500';
+
+const helpers = require('./helpers');
+const fetcher = require('../src/fetcher');
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n');
+
+// A local site serving `pages` ({ path: [content type, body] }), recording the time of
+// every request it gets. Each test starts its own, so robots.txt and the per-host delay
+// (both kept per origin) don't carry over between tests.
+async function fixtureSite(pages) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ path: req.url, at: Date.now() });
+    const page = pages[req.url];
+    if (!page) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('not found');
+    }
+    res.writeHead(200, { 'Content-Type': page[0] });
+    return res.end(page[1]);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    url: (pathname) => `http://127.0.0.1:${port}${pathname}`,
+    port,
+    // Requests for pages, leaving out robots.txt
+    fetched: () => requests.filter((r) => r.path !== '/robots.txt'),
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    }),
+  };
+}
+
+const page = (title, body = '') => ['text/html', `<html><head><title>${title}</title></head><body>${title}${body}</body></html>`];
+
+describe('POST /documents/project/:project_id/scrape', () => {
+  let db;
+  let app;
+  let site;
+
+  before(async () => {
+    db = await helpers.createDatabase();
+    await helpers.addMember(db.pool, 'p1', 'alice');
+    app = helpers.createApp(db.pool);
+  });
+
+  after(() => db && db.drop());
+
+  beforeEach(async () => {
+    helpers.resetStorage();
+    await db.pool.query('TRUNCATE documents, document_versions, document_events');
+  });
+
+  afterEach(() => site && site.close());
+
+  const scrape = (body) => request(app)
+    .post('/documents/project/p1/scrape')
+    .set('Authorization', helpers.bearer('alice'))
+    .send(body);
+
+  it('skips paths robots.txt disallows without requesting them', async () => {
+    site = await fixtureSite({
+      '/robots.txt': ['text/plain', 'User-agent: *\nDisallow: /private/\n'],
+      '/private/policy.html': page('Private policy'),
+      '/public/policy.html': page('Public policy'),
+    });
+
+    const res = await scrape({ urls: [site.url('/private/policy.html'), site.url('/public/policy.html')] });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map((r) => [r.url, r.status]), [
+      [site.url('/private/policy.html'), 'rejected'],
+      [site.url('/public/policy.html'), 'created'],
+    ]);
+    assert.equal(res.body.results[0].code, 403);
+    assert.equal(res.body.results[0].error, `Disallowed by robots.txt: ${site.url('/private/policy.html')}`);
+    assert.deepEqual(site.fetched().map((r) => r.path), ['/public/policy.html']);
+  });
+
+  it('waits SCRAPE_DELAY_MS between two requests to the same host', async () => {
+    site = await fixtureSite({ '/a.html': page('A'), '/b.html': page('B'), '/c.html': page('C') });
+
+    const res = await scrape({ urls: ['/a.html', '/b.html', '/c.html'].map(site.url) });
+
+    assert.deepEqual(res.body.summary, { created: 3, versioned: 0, duplicate: 0, rejected: 0 });
+    const times = site.fetched().map((r) => r.at);
+    assert.equal(times.length, 3);
+    for (let i = 1; i < times.length; i += 1) assert.ok(times[i] - times[i - 1] >= 190, `requests ${times[i] - times[i - 1]}ms apart`);
+  });
+
+  it('follows the PDFs a page links to when follow_pdfs is set', async () => {
+    site = await fixtureSite({
+      '/policies.html': page('Policies', '<a href="/files/privacy.pdf#page=2">Privacy</a> <a href="terms.html">Terms</a>'),
+      '/files/privacy.pdf': ['application/pdf', PDF],
+    });
+
+    const without = await scrape({ urls: [site.url('/policies.html')] });
+    const res = await scrape({ urls: [site.url('/policies.html')], follow_pdfs: true });
+
+    assert.equal(without.body.results.length, 1);
+    assert.deepEqual(res.body.results.map((r) => [r.url, r.filename, r.status]), [
+      [site.url('/policies.html'), 'policies.html', 'duplicate'],
+      [site.url('/files/privacy.pdf'), 'privacy.pdf', 'created'],
+    ]);
+    const { rows } = await db.pool.query(`SELECT mimetype, source, source_url FROM documents WHERE id = $1`, [res.body.results[1].document_id]);
+    assert.deepEqual(rows[0], { mimetype: 'application/pdf', source: 'Scrape', source_url: site.url('/files/privacy.pdf') });
+  });
+
+  it('fetches at most SCRAPE_MAX_URLS and counts the rest as truncated', async () => {
+    const paths = ['/1.html', '/2.html', '/3.html', '/4.html', '/5.html', '/6.html'];
+    const pages = Object.fromEntries(paths.map((p) => [p, page(p)]));
+    site = await fixtureSite(pages);
+    pages['/sitemap.xml'] = ['application/xml', `<urlset>${paths.map((p) => `<url><loc>${site.url(p)}</loc></url>`).join('')}</urlset>`];
+
+    const tooMany = await scrape({ urls: paths.map(site.url) });
+    assert.equal(tooMany.status, 400);
+    assert.equal(tooMany.body.error, 'A scrape can contain at most 4 URLs');
+
+    const res = await scrape({ sitemap: site.url('/sitemap.xml') });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.results.length, 4);
+    assert.equal(res.body.truncated, 2);
+  });
+
+  it('spaces requests by Crawl-delay and starts none after the time budget', async () => {
+    site = await fixtureSite({
+      '/robots.txt': ['text/plain', 'User-agent: *\nCrawl-delay: 1\n'],
+      '/a.html': page('A'),
+      '/b.html': page('B'),
+      '/c.html': page('C'),
+      '/d.html': page('D'),
+    });
+
+    const res = await scrape({ urls: ['/a.html', '/b.html', '/c.html', '/d.html'].map(site.url) });
+
+    // Turns come at 0s, 1s, 2s and 3s; the last is past the 2.5s budget
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map((r) => r.status), ['created', 'created', 'created']);
+    assert.equal(res.body.truncated, 1);
+    const times = site.fetched().map((r) => r.at);
+    assert.equal(times.length, 3);
+    for (let i = 1; i < times.length; i += 1) assert.ok(times[i] - times[i - 1] >= 990, `requests ${times[i] - times[i - 1]}ms apart`);
+  });
+});
+
+describe('the private address guard', () => {
+  let site;
+
+  before(async () => {
+    site = await fixtureSite({ '/': page('Intranet') });
+  });
+
+  after(() => site && site.close());
+
+  it('refuses private addresses in the URL', () => {
+    for (const url of ['http://127.0.0.1/', 'http://10.1.2.3/', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/']) {
+      assert.throws(() => fetcher.parseTarget(url, false), (err) => err.status === 403 && /private address/.test(err.message), url);
+    }
+    assert.equal(fetcher.parseTarget('http://example.com/', false).hostname, 'example.com');
+  });
+
+  it('refuses host names that resolve to a private address, before connecting', async () => {
+    await assert.rejects(
+      fetcher.request(`http://localhost:${site.port}/`, { allowPrivate: false }),
+      (err) => err.status === 403 && err.message === 'localhost resolves to a private address'
+    );
+    assert.equal(site.fetched().length, 0);
+  });
+
+  it('lets them through with SCRAPE_ALLOW_PRIVATE', async () => {
+    const res = await fetcher.request(site.url('/'));
+    res.body.resume();
+
+    assert.equal(res.status, 200);
+    assert.equal(site.fetched().length, 1);
+  });
+});
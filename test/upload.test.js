@@ -0,0 +1,275 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const helpers = require('./helpers');
+const metrics = require('../src/metrics');
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n');
+
+async function metricValue(name, labels) {
+  const metric = (await metrics.register.getMetricsAsJSON()).find((m) => m.name === name);
+  const sample = metric && metric.values.find((v) => Object.entries(labels).every(([k, value]) => v.labels[k] === value));
+  return sample ? sample.value : 0;
+}
+
+describe('POST /upload', () => {
+  let db;
+  let app;
+
+  before(async () => {
+    db = await helpers.createDatabase();
+    await helpers.addMember(db.pool, 'p1', 'alice');
+    app = helpers.createApp(db.pool);
+  });
+
+  after(() => db && db.drop());
+
+  beforeEach(async () => {
+    helpers.resetStorage();
+    await db.pool.query('TRUNCATE documents, document_versions, document_events');
+  });
+
+  const upload = (name, content, fields = { project_id: 'p1' }, user = 'alice') => {
+    const req = request(app).post('/upload').set('Authorization', helpers.bearer(user));
+    for (const [field, value] of Object.entries(fields)) req.field(field, value);
+    return req.attach('file', Buffer.from(content), name);
+  };
+
+  it('stores the file in Firebase and records a pending document', async () => {
+    const res = await upload('Privacy Policy.pdf', PDF);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, 'upload successfully');
+    assert.equal(res.body.version, 1);
+    assert.equal(res.body.document.storage_provider, 'firebase');
+    assert.equal(res.body.document.status, 'pending');
+    assert.equal(res.body.document.mimetype, 'application/pdf');
+    assert.equal(Number(res.body.document.size_bytes), PDF.length);
+    assert.deepEqual(helpers.firebase.state.objects.get(res.body.name), PDF);
+    assert.equal(helpers.supabase.state.objects.size, 0);
+    assert.match(res.get('X-Request-Id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('falls back to Supabase when Firebase is not available', async () => {
+    helpers.firebase.state.available = false;
+    const before = await metricValue('storage_fallbacks_total', { from: 'firebase', to: 'supabase' });
+
+    const res = await upload('policy.txt', 'plain text policy');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.document.storage_provider, 'supabase');
+    assert.equal(res.body.document.file_path, `https://project.supabase.test/storage/v1/object/public/policies/${encodeURIComponent(res.body.name)}`);
+    assert.equal(helpers.supabase.state.objects.get(res.body.name).toString(), 'plain text policy');
+    assert.equal(helpers.supabase.state.buffered, 0);
+    assert.equal(helpers.firebase.state.objects.size, 0);
+    assert.equal(await metricValue('storage_fallbacks_total', { from: 'firebase', to: 'supabase' }), before + 1);
+    assert.ok((await metricValue('storage_uploads_total', { provider: 'supabase' })) >= 1);
+  });
+
+  it('answers 502 without recording anything when Firebase rejects the write', async () => {
+    helpers.firebase.state.failWrites = true;
+
+    const res = await upload('policy.txt', 'plain text policy');
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, 'storage_error');
+    assert.equal(res.body.error, 'Could not write the file to storage');
+    assert.ok(res.body.request_id);
+    const { rows } = await db.pool.query('SELECT count(*)::int AS n FROM documents');
+    assert.equal(rows[0].n, 0);
+  });
+
+  it('answers 502 when the Supabase fallback fails too', async () => {
+    helpers.firebase.state.available = false;
+    helpers.supabase.state.failUploads = true;
+
+    const res = await upload('policy.txt', 'plain text policy');
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, 'storage_error');
+    assert.doesNotMatch(res.body.error, /supabase/);
+  });
+
+  it('stores a file with a known filename as the next version', async () => {
+    const first = await upload('policy.txt', 'version one');
+    const second = await upload('policy.txt', 'version two');
+
+    assert.equal(second.status, 200);
+    assert.equal(second.body.document_id, first.body.document_id);
+    assert.equal(second.body.version, 2);
+  });
+
+  it('names the document after the version it serves', async () => {
+    const first = await upload('b.txt', 'plain text policy');
+    const second = await upload('b2.html', '<html><body>html policy</body></html>', { project_id: 'p1', document_id: first.body.document_id });
+
+    assert.equal(second.status, 200);
+    assert.equal(second.body.version, 2);
+    assert.equal(second.body.document.filename, 'b2.html');
+    assert.equal(second.body.document.mimetype, 'text/html');
+  });
+
+  it('returns the existing document for identical content', async () => {
+    const first = await upload('a.txt', 'same content');
+    const second = await upload('b.txt', 'same content');
+
+    assert.equal(second.status, 200);
+    assert.equal(second.body.duplicate, true);
+    assert.equal(second.body.document_id, first.body.document_id);
+    assert.equal(helpers.firebase.state.objects.size, 1);
+  });
+
+  it('sets policy metadata sent along', async () => {
+    const res = await upload('policy.txt', 'with metadata', { project_id: 'p1', category: 'Privacy', tags: 'GDPR, eu', expiry_date: '2030-01-31' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.document.category, 'Privacy');
+    assert.deepEqual(res.body.document.tags, ['gdpr', 'eu']);
+    assert.equal(res.body.document.expiry_date, '2030-01-31');
+  });
+
+  describe('rejects', () => {
+    it('requests without a token', async () => {
+      const res = await request(app).post('/upload').field('project_id', 'p1').attach('file', Buffer.from('x'), 'a.txt');
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'unauthorized');
+    });
+
+    it('requests without a file', async () => {
+      const res = await request(app).post('/upload').set('Authorization', helpers.bearer('alice')).field('project_id', 'p1');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'No file uploaded');
+    });
+
+    it('requests without project_id ahead of the file, before storing it', async () => {
+      const stored = await metricValue('storage_uploads_total', { provider: 'firebase' });
+
+      const missing = await upload('policy.txt', 'no project', {});
+      const late = await request(app)
+        .post('/upload')
+        .set('Authorization', helpers.bearer('alice'))
+        .attach('file', Buffer.from('project after the file'), 'policy.txt')
+        .field('project_id', 'p1');
+
+      for (const res of [missing, late]) {
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'project_id is required, ahead of the file in the form');
+      }
+      assert.equal(await metricValue('storage_uploads_total', { provider: 'firebase' }), stored);
+      assert.equal(helpers.firebase.state.objects.size, 0);
+    });
+
+    it('callers outside the project, before storing the file', async () => {
+      const stored = await metricValue('storage_uploads_total', { provider: 'firebase' });
+
+      const res = await upload('policy.txt', 'not a member', { project_id: 'p1' }, 'mallory');
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'forbidden');
+      assert.equal(await metricValue('storage_uploads_total', { provider: 'firebase' }), stored);
+      assert.equal(helpers.firebase.state.objects.size, 0);
+    });
+
+    it('files that are not policy documents', async () => {
+      const res = await upload('image.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]));
+      assert.equal(res.status, 415);
+      assert.equal(res.body.code, 'unsupported_media_type');
+    });
+
+    it('files over UPLOAD_MAX_BYTES', async () => {
+      const res = await upload('large.txt', Buffer.alloc(65 * 1024, 'a'));
+      assert.equal(res.status, 413);
+      assert.equal(res.body.code, 'payload_too_large');
+      assert.equal(helpers.firebase.state.objects.size, 0);
+    });
+
+    it('invalid metadata', async () => {
+      const res = await upload('policy.txt', 'bad date', { project_id: 'p1', expiry_date: '31/01/2030' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'expiry_date must be a date (YYYY-MM-DD)');
+    });
+
+    it('files over the project\'s storage quota before storing all of them', async () => {
+      await db.pool.query(`INSERT INTO project_quotas (project_id, max_bytes) VALUES ('p1', 100)`);
+      const stored = await metricValue('storage_uploads_total', { provider: 'firebase' });
+      try {
+        const res = await upload('large.txt', Buffer.alloc(1024, 'a'));
+
+        assert.equal(res.status, 507);
+        assert.equal(res.body.code, 'quota_exceeded');
+        assert.equal(res.body.quota.remaining_bytes, 100);
+        assert.equal(res.get('X-Quota-Bytes-Remaining'), '100');
+        assert.equal(await metricValue('storage_uploads_total', { provider: 'firebase' }), stored);
+        assert.equal(helpers.firebase.state.objects.size, 0);
+        assert.equal((await upload('small.txt', 'fits')).status, 200);
+      } finally {
+        await db.pool.query(`DELETE FROM project_quotas WHERE project_id = 'p1'`);
+      }
+    });
+
+    it('an unknown document_id', async () => {
+      const res = await upload('policy.txt', 'new version', { project_id: 'p1', document_id: '00000000-0000-0000-0000-000000000000' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('POST /upload/batch', () => {
+    it('records every accepted file and reports the rejected ones', async () => {
+      const res = await request(app)
+        .post('/upload/batch')
+        .set('Authorization', helpers.bearer('alice'))
+        .field('project_id', 'p1')
+        .attach('files', Buffer.from('first policy'), 'first.txt')
+        .attach('files', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]), 'image.png')
+        .attach('files', Buffer.from('second policy'), 'second.txt');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.results.map((r) => [r.filename, r.status]), [
+        ['first.txt', 'created'],
+        ['image.png', 'rejected'],
+        ['second.txt', 'created'],
+      ]);
+      assert.equal(res.body.results[1].code, 415);
+      assert.deepEqual(res.body.summary, { created: 2, versioned: 0, duplicate: 0, rejected: 1 });
+      assert.equal(helpers.firebase.state.objects.size, 2);
+    });
+
+    it('stores nothing for callers outside the project', async () => {
+      const stored = await metricValue('storage_uploads_total', { provider: 'firebase' });
+
+      const res = await request(app)
+        .post('/upload/batch')
+        .set('Authorization', helpers.bearer('mallory'))
+        .field('project_id', 'p1')
+        .attach('files', Buffer.from('first policy'), 'first.txt')
+        .attach('files', Buffer.from('second policy'), 'second.txt');
+
+      assert.equal(res.status, 403);
+      assert.equal(await metricValue('storage_uploads_total', { provider: 'firebase' }), stored);
+    });
+  });
+});
+
+describe('POST /upload without a working database', () => {
+  it('answers 500 when DATABASE_URL is not configured', async () => {
+    const res = await request(helpers.createApp(null))
+      .post('/upload')
+      .set('Authorization', helpers.bearer('alice'))
+      .field('project_id', 'p1')
+      .attach('file', Buffer.from('text'), 'a.txt');
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, 'DATABASE_URL not configured');
+  });
+
+  it('hides the database error behind a generic message', async () => {
+    const res = await request(helpers.createApp(helpers.brokenPool()))
+      .post('/upload')
+      .set('Authorization', helpers.bearer('alice'))
+      .field('project_id', 'p1')
+      .attach('file', Buffer.from('text'), 'a.txt');
+    assert.equal(res.status, 500);
+    assert.deepEqual(Object.keys(res.body).sort(), ['code', 'error', 'request_id']);
+    assert.equal(res.body.code, 'database_error');
+    assert.equal(res.body.error, 'Database error');
+  });
+});